@@ -0,0 +1,184 @@
+/**
+ * Access Control Helper
+ * Maps WhatsApp numbers to roles and decides which commands each sender may run
+ */
+
+const fs = require('fs');
+const PhoneNumber = require('./phone-number');
+
+// Commands every role may run, extended by the roles further down the list
+const ROLE_PERMISSIONS = {
+    viewer: ['HELP', 'UNKNOWN', 'PARSE_ERROR', 'CONFIRM', 'PICK', 'LIST', 'SUMMARY', 'ASK', 'SEARCH', 'GET', 'WHO', 'STATUS', 'CANCEL', 'MORE', 'CD', 'PWD', 'LINK', 'UNLINK', 'WHOAMI'],
+    editor: ['MOVE', 'DELETE_REQUEST', 'TRASH', 'RESTORE', 'SAVE', 'SHARE', 'UNSHARE', 'RENAME', 'MKDIR', 'COPY', 'RESUME'],
+    admin: ['PURGE_REQUEST']
+};
+
+const ROLE_ORDER = ['viewer', 'editor', 'admin'];
+
+// Command fields that carry a Drive path
+const PATH_FIELDS = ['folderPath', 'filePath', 'sourcePath', 'destinationPath'];
+
+class AccessControl {
+    constructor(options = {}) {
+        this.configFile = options.configFile || process.env.ACCESS_CONTROL_FILE || './access-control.json';
+        this.users = {};
+        this.roles = {};
+        this.enabled = false;
+
+        this.loadConfig(options.config);
+    }
+
+    /**
+     * Load users and role folder limits from an object or the JSON config file
+     */
+    loadConfig(config) {
+        try {
+            if (!config && fs.existsSync(this.configFile)) {
+                config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`Failed to read access control config ${this.configFile}:`, error);
+            config = null;
+        }
+
+        if (!config || !config.users) {
+            return;
+        }
+
+        Object.entries(config.users).forEach(([number, entry]) => {
+            const user = typeof entry === 'string' ? { role: entry } : entry;
+            const role = (user.role || '').toLowerCase();
+
+            if (!ROLE_ORDER.includes(role)) {
+                console.error(`Ignoring access control entry for ${number}: unknown role '${user.role}'`);
+                return;
+            }
+
+            this.users[PhoneNumber.normalize(number)] = {
+                role,
+                name: user.name || null,
+                defaultFolder: user.defaultFolder || null
+            };
+        });
+
+        Object.entries(config.roles || {}).forEach(([role, settings]) => {
+            this.roles[role.toLowerCase()] = {
+                folders: Array.isArray(settings.folders) ? settings.folders.map(folder => this.normalizePath(folder)) : null
+            };
+        });
+
+        this.enabled = true;
+    }
+
+    /**
+     * Normalize a Drive path to lower-case segments without surrounding slashes
+     */
+    normalizePath(folderPath) {
+        return String(folderPath || '')
+            .trim()
+            .replace(/^\/+|\/+$/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Get the configured user entry for a sender, or null when not allowlisted
+     */
+    getUser(fromNumber) {
+        return this.users[PhoneNumber.normalize(fromNumber)] || null;
+    }
+
+    /**
+     * List the allowlisted numbers that have a role, e.g. to alert the admins
+     */
+    getNumbersWithRole(role) {
+        return Object.keys(this.users).filter(number => this.users[number].role === role);
+    }
+
+    /**
+     * List every command a role may run
+     */
+    getRoleCommands(role) {
+        const index = ROLE_ORDER.indexOf(role);
+        if (index === -1) {
+            return [];
+        }
+
+        return ROLE_ORDER.slice(0, index + 1).reduce((commands, name) => commands.concat(ROLE_PERMISSIONS[name]), []);
+    }
+
+    /**
+     * Check whether a path lies inside one of the role's allowed folders
+     */
+    isPathAllowed(role, drivePath) {
+        const settings = this.roles[role];
+        if (!settings || !settings.folders) {
+            return true;
+        }
+
+        const target = this.normalizePath(drivePath);
+        return settings.folders.some(folder => target === folder || target.startsWith(folder + '/'));
+    }
+
+    /**
+     * A predicate over full Drive paths for a sender's folder limits, or null when the sender
+     * may reach every folder. Unknown senders get one that refuses everything.
+     */
+    getPathFilter(fromNumber) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const user = this.getUser(fromNumber);
+        if (!user) {
+            return () => false;
+        }
+
+        const settings = this.roles[user.role];
+        if (!settings || !settings.folders) {
+            return null;
+        }
+        return drivePath => this.isPathAllowed(user.role, drivePath);
+    }
+
+    /**
+     * Decide whether a sender may run a parsed command. Absolute paths are checked here, as a
+     * walk from the root leads where the text says. Bare names and id: values only show their
+     * location once resolved, so the path resolver checks those with getPathFilter.
+     */
+    checkAccess(fromNumber, parsedCommand) {
+        if (!this.enabled) {
+            return { allowed: true, role: 'admin' };
+        }
+
+        const user = this.getUser(fromNumber);
+        if (!user) {
+            return { allowed: false, role: null, reason: 'Your number is not authorized to use this assistant.' };
+        }
+
+        if (!this.getRoleCommands(user.role).includes(parsedCommand.command)) {
+            return {
+                allowed: false,
+                role: user.role,
+                reason: `Your role (${user.role}) is not allowed to run ${parsedCommand.command}.`
+            };
+        }
+
+        for (const field of PATH_FIELDS) {
+            const value = parsedCommand[field];
+            if (typeof value === 'string' && value.trim().startsWith('/') && !this.isPathAllowed(user.role, value)) {
+                return {
+                    allowed: false,
+                    role: user.role,
+                    reason: `Your role (${user.role}) has no access to '${value}'.`
+                };
+            }
+        }
+
+        return { allowed: true, role: user.role };
+    }
+}
+
+AccessControl.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+AccessControl.ROLE_ORDER = ROLE_ORDER;
+
+module.exports = AccessControl;
@@ -130,14 +130,16 @@ class AuditLogger {
     }
 
     /**
-     * Log AI summarization request
+     * Log AI summarization request; options.cacheHit marks summaries served from the cache
      */
-    logAISummarization(fileInfo, summary, sessionId) {
+    logAISummarization(fileInfo, summary, sessionId, options = {}) {
         const entry = this.formatLogEntry('info', 'AI summarization completed', {
             type: 'ai_summarization',
+            fileId: fileInfo.id,
             fileName: fileInfo.name,
             fileType: fileInfo.mimeType,
             summaryLength: summary ? summary.length : 0,
+            cacheHit: !!options.cacheHit,
             sessionId
         });
 
@@ -0,0 +1,170 @@
+/**
+ * Bulk Operations Helper
+ * Matches files in a folder against a glob pattern (*.pdf, report-??.docx) and runs an
+ * operation on every match in batches. Progress is saved after each batch so a job
+ * interrupted by a restart can be resumed where it stopped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const StorageBackend = require('./storage-backend');
+
+class BulkOperations {
+    /**
+     * @param {Object} storage - the StorageBackend whose folders are matched
+     * @param {Object} handlers - operation name => async (item, job) => void, throwing on failure
+     */
+    constructor(storage, handlers, options = {}) {
+        this.storage = storage;
+        this.handlers = handlers;
+        this.onItemDone = options.onItemDone || null;
+        this.batchSize = options.batchSize || parseInt(process.env.BULK_BATCH_SIZE, 10) || 10;
+        this.maxFiles = options.maxFiles || parseInt(process.env.BULK_MAX_FILES, 10) || 500;
+        this.stateFile = options.stateFile || process.env.BULK_STATE_FILE || './data/bulk-jobs.json';
+        this.running = new Set();
+        this.jobs = this.load();
+    }
+
+    /**
+     * Turn a glob pattern into a case-insensitive regular expression
+     */
+    toRegExp(pattern) {
+        const source = pattern
+            .split('')
+            .map(char => {
+                if (char === '*') return '.*';
+                if (char === '?') return '.';
+                return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * List the files (not folders) directly inside a folder whose names match the pattern
+     */
+    async findMatches(folderId, pattern) {
+        const matcher = this.toRegExp(pattern);
+        const files = await this.storage.listFolder(folderId);
+
+        return files
+            .filter(file => file.mimeType !== StorageBackend.FOLDER_MIME_TYPE && matcher.test(file.name))
+            .map(file => ({ id: file.id, name: file.name, parents: file.parents || [] }));
+    }
+
+    /**
+     * Read saved jobs from disk
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to read bulk job state:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Write unfinished jobs to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.jobs, null, 2));
+        } catch (error) {
+            console.error('Failed to save bulk job state:', error);
+        }
+    }
+
+    /**
+     * Register a job for a confirmed set of files.
+     * target holds what the operation needs beyond the file, e.g. the destination folder.
+     */
+    createJob(fromNumber, operation, items, target = {}) {
+        const job = {
+            id: crypto.randomBytes(4).toString('hex'),
+            fromNumber,
+            operation,
+            target,
+            items: items.map(item => ({ ...item, status: 'pending' })),
+            createdAt: new Date().toISOString()
+        };
+
+        this.jobs[job.id] = job;
+        this.save();
+        return job;
+    }
+
+    /**
+     * Find a sender's most recent job that has files left to process
+     */
+    findUnfinished(fromNumber) {
+        return Object.values(this.jobs)
+            .filter(job => job.fromNumber === fromNumber && job.items.some(item => item.status === 'pending'))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+    }
+
+    /**
+     * Process a job's pending files in batches, saving progress after each batch.
+     * Failures are recorded per file and never stop the job. Returns the finished job.
+     * context.progress(done, total) is called after each batch; when context.isCancelled()
+     * turns true the remaining files are marked cancelled.
+     */
+    async run(jobId, context = {}) {
+        const job = this.jobs[jobId];
+        if (!job) {
+            throw new Error(`Unknown bulk job ${jobId}`);
+        }
+        if (this.running.has(jobId)) {
+            throw new Error('This bulk operation is already running');
+        }
+
+        const handler = this.handlers[job.operation];
+        this.running.add(jobId);
+
+        try {
+            let pending = job.items.filter(item => item.status === 'pending');
+            while (pending.length > 0) {
+                if (context.isCancelled && context.isCancelled()) {
+                    pending.forEach(item => {
+                        item.status = 'cancelled';
+                    });
+                    break;
+                }
+
+                const batch = pending.slice(0, this.batchSize);
+
+                await Promise.all(batch.map(async item => {
+                    try {
+                        await handler(item, job);
+                        item.status = 'done';
+                    } catch (error) {
+                        item.status = 'failed';
+                        item.error = error.message;
+                    }
+                    if (this.onItemDone) {
+                        this.onItemDone(job, item);
+                    }
+                }));
+
+                this.save();
+                pending = pending.slice(batch.length);
+                if (context.progress) {
+                    context.progress(job.items.length - pending.length, job.items.length);
+                }
+            }
+
+            job.completedAt = new Date().toISOString();
+            delete this.jobs[jobId];
+            this.save();
+            return job;
+        } finally {
+            this.running.delete(jobId);
+        }
+    }
+}
+
+module.exports = BulkOperations;
@@ -0,0 +1,332 @@
+/**
+ * Channel Adapters Helper
+ * Turn what a messaging provider sends us into one message shape,
+ * { fromNumber, body, messageId, media }, and send replies back the same way.
+ * fromNumber is always "whatsapp:+<digits>", normalized like the keys access control and
+ * per-sender state use, so they don't depend on the channel. Twilio, the Meta WhatsApp
+ * Cloud API and a local stdin/stdout console are available, chosen with CHANNEL.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const readline = require('readline');
+const PhoneNumber = require('./phone-number');
+
+class ChannelAdapter {
+    /**
+     * Build the channel named by CHANNEL (twilio, meta or console; default twilio)
+     */
+    static fromEnv() {
+        const type = (process.env.CHANNEL || 'twilio').toLowerCase();
+        if (type === 'meta') {
+            return new MetaWhatsAppChannel();
+        }
+        if (type === 'console') {
+            return new ConsoleChannel();
+        }
+        if (type !== 'twilio') {
+            console.error(`Unknown CHANNEL '${type}', using twilio`);
+        }
+        return new TwilioChannel();
+    }
+
+    get name() {
+        return 'none';
+    }
+
+    /**
+     * Put a phone number in the whatsapp:+<digits> form every channel hands on
+     */
+    toAddress(number) {
+        return PhoneNumber.toAddress(number);
+    }
+
+    /**
+     * Check that a webhook request really comes from the provider.
+     * Returns null when it does, or { status, event, message } to reject it.
+     */
+    verifyRequest(req, context = {}) {
+        return null;
+    }
+
+    /**
+     * Answer a GET subscription handshake on the webhook URL. Returns true when handled.
+     */
+    handleVerification(req, res) {
+        return false;
+    }
+
+    /**
+     * Read the messages in a webhook request. Delivery receipts and the like give [].
+     */
+    parseInbound(req) {
+        return [];
+    }
+
+    /**
+     * Fetch the bytes of one media item from parseInbound
+     */
+    async downloadMedia(item) {
+        throw new Error(`${this.name} channel can't download media`);
+    }
+
+    /**
+     * Send one message, optionally with one media attachment fetched from mediaUrl
+     */
+    async send(to, body, mediaUrl) {
+        throw new Error(`${this.name} channel does not implement send`);
+    }
+
+    /**
+     * Start receiving messages that don't arrive through the webhook
+     * @param {Function} onMessage - async (message) => void
+     */
+    start(onMessage) {}
+}
+
+/**
+ * Twilio's WhatsApp API: form-encoded webhooks signed with X-Twilio-Signature
+ */
+class TwilioChannel extends ChannelAdapter {
+    constructor(options = {}) {
+        super();
+        // Loaded here so the other channels run without Twilio credentials
+        this.twilio = require('twilio');
+        this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+        this.fromNumber = options.fromNumber || process.env.TWILIO_WHATSAPP_NUMBER;
+        this.skipSignature = options.skipSignature !== undefined
+            ? options.skipSignature
+            : process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
+        this.client = this.twilio(this.accountSid, this.authToken);
+    }
+
+    get name() {
+        return 'twilio';
+    }
+
+    /**
+     * context.url must be the public URL Twilio signed
+     */
+    verifyRequest(req, context = {}) {
+        if (this.skipSignature) {
+            return null;
+        }
+        if (!this.authToken) {
+            console.error('Rejected webhook: TWILIO_AUTH_TOKEN is not configured');
+            return { status: 403, event: 'twilio_signature_unverifiable', message: 'Signature validation unavailable' };
+        }
+
+        const signature = req.get('x-twilio-signature');
+        if (!signature) {
+            return { status: 403, event: 'twilio_signature_missing', message: 'Missing Twilio signature' };
+        }
+        if (!this.twilio.validateRequest(this.authToken, signature, context.url, req.body || {})) {
+            return { status: 403, event: 'twilio_signature_invalid', message: 'Invalid Twilio signature' };
+        }
+        return null;
+    }
+
+    parseInbound(req) {
+        const body = req.body || {};
+        if (!body.From) {
+            return [];
+        }
+
+        // NumMedia / MediaUrlN / MediaContentTypeN describe the attachments
+        const media = [];
+        const count = parseInt(body.NumMedia, 10) || 0;
+        for (let i = 0; i < count; i++) {
+            if (body[`MediaUrl${i}`]) {
+                media.push({
+                    url: body[`MediaUrl${i}`],
+                    contentType: body[`MediaContentType${i}`] || 'application/octet-stream'
+                });
+            }
+        }
+
+        return [{ fromNumber: this.toAddress(body.From), body: body.Body || '', messageId: body.MessageSid, media }];
+    }
+
+    /**
+     * Twilio media URLs need the account's credentials
+     */
+    async downloadMedia(item) {
+        const response = await axios.get(item.url, {
+            auth: { username: this.accountSid, password: this.authToken },
+            responseType: 'arraybuffer',
+            maxContentLength: 25 * 1024 * 1024
+        });
+        return Buffer.from(response.data);
+    }
+
+    async send(to, body, mediaUrl) {
+        return this.client.messages.create({
+            from: `whatsapp:${this.fromNumber}`,
+            to,
+            body,
+            ...(mediaUrl ? { mediaUrl: [mediaUrl] } : {})
+        });
+    }
+}
+
+/**
+ * Meta's WhatsApp Cloud API: JSON webhooks signed with X-Hub-Signature-256, a GET
+ * verification handshake, and replies through the Graph API
+ */
+class MetaWhatsAppChannel extends ChannelAdapter {
+    constructor(options = {}) {
+        super();
+        this.accessToken = options.accessToken || process.env.META_ACCESS_TOKEN;
+        this.phoneNumberId = options.phoneNumberId || process.env.META_PHONE_NUMBER_ID;
+        this.appSecret = options.appSecret || process.env.META_APP_SECRET;
+        this.verifyToken = options.verifyToken || process.env.META_VERIFY_TOKEN;
+        this.graphUrl = `https://graph.facebook.com/${options.graphVersion || process.env.META_GRAPH_VERSION || 'v20.0'}`;
+    }
+
+    get name() {
+        return 'meta';
+    }
+
+    /**
+     * The signature covers the raw request body, kept as req.rawBody by the JSON parser
+     */
+    verifyRequest(req) {
+        if (!this.appSecret) {
+            console.error('Rejected webhook: META_APP_SECRET is not configured');
+            return { status: 403, event: 'meta_signature_unverifiable', message: 'Signature validation unavailable' };
+        }
+
+        const signature = req.get('x-hub-signature-256');
+        if (!signature) {
+            return { status: 403, event: 'meta_signature_missing', message: 'Missing Meta signature' };
+        }
+
+        const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.appSecret).update(req.rawBody || '').digest('hex')}`);
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { status: 403, event: 'meta_signature_invalid', message: 'Invalid Meta signature' };
+        }
+        return null;
+    }
+
+    /**
+     * Meta calls the webhook with hub.mode=subscribe and our verify token, expecting hub.challenge back
+     */
+    handleVerification(req, res) {
+        if (req.query['hub.mode'] !== 'subscribe') {
+            return false;
+        }
+
+        if (this.verifyToken && req.query['hub.verify_token'] === this.verifyToken) {
+            res.status(200).send(String(req.query['hub.challenge'] || ''));
+        } else {
+            res.status(403).send('Verification token mismatch');
+        }
+        return true;
+    }
+
+    parseInbound(req) {
+        const messages = [];
+        const entries = (req.body && req.body.entry) || [];
+
+        entries.forEach(entry => (entry.changes || []).forEach(change => {
+            ((change.value && change.value.messages) || []).forEach(message => {
+                const attachment = message[message.type];
+                const media = [];
+                let body = '';
+
+                if (message.type === 'text') {
+                    body = message.text.body;
+                } else if (message.type === 'button') {
+                    body = message.button.text;
+                } else if (attachment && attachment.id) {
+                    // image, document, audio, video and sticker all carry a media ID
+                    media.push({ id: attachment.id, contentType: attachment.mime_type || 'application/octet-stream' });
+                    body = attachment.caption || '';
+                }
+
+                messages.push({ fromNumber: this.toAddress(message.from), body, messageId: message.id, media });
+            });
+        }));
+
+        return messages;
+    }
+
+    /**
+     * Media IDs resolve to a short-lived URL that needs the access token too
+     */
+    async downloadMedia(item) {
+        const headers = { Authorization: `Bearer ${this.accessToken}` };
+        const info = await axios.get(`${this.graphUrl}/${encodeURIComponent(item.id)}`, { headers });
+        const response = await axios.get(info.data.url, {
+            headers,
+            responseType: 'arraybuffer',
+            maxContentLength: 25 * 1024 * 1024
+        });
+        return Buffer.from(response.data);
+    }
+
+    async send(to, body, mediaUrl) {
+        const message = mediaUrl
+            ? { type: 'document', document: { link: mediaUrl, caption: body } }
+            : { type: 'text', text: { body, preview_url: false } };
+
+        const response = await axios.post(`${this.graphUrl}/${this.phoneNumberId}/messages`, {
+            messaging_product: 'whatsapp',
+            to: this.toAddress(to).replace(/^whatsapp:\+/, ''),
+            ...message
+        }, {
+            headers: { Authorization: `Bearer ${this.accessToken}` }
+        });
+        return response.data;
+    }
+}
+
+/**
+ * Commands typed on stdin, replies printed to stdout. Every line comes from
+ * CONSOLE_FROM_NUMBER, so it can be given a role in the access control file.
+ */
+class ConsoleChannel extends ChannelAdapter {
+    constructor(options = {}) {
+        super();
+        this.fromNumber = this.toAddress(options.fromNumber || process.env.CONSOLE_FROM_NUMBER || '+10000000000');
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.counter = 0;
+    }
+
+    get name() {
+        return 'console';
+    }
+
+    start(onMessage) {
+        const rl = readline.createInterface({ input: this.input, output: this.output, terminal: false });
+        this.output.write(`💬 Console channel ready. Type commands as ${this.fromNumber.replace(/^whatsapp:/, '')}, e.g. HELP\n> `);
+
+        // One line at a time, so replies come out in the order the commands were typed
+        let queue = Promise.resolve();
+        rl.on('line', line => {
+            if (!line.trim()) {
+                return;
+            }
+            this.counter++;
+            const message = { fromNumber: this.fromNumber, body: line, messageId: `console-${this.counter}`, media: [] };
+            queue = queue
+                .then(() => onMessage(message))
+                .catch(error => console.error('Console message failed:', error))
+                .then(() => this.output.write('> '));
+        });
+    }
+
+    async send(to, body, mediaUrl) {
+        this.output.write(`\n${body}${mediaUrl ? `\n📎 ${mediaUrl}` : ''}\n\n`);
+        return { to };
+    }
+}
+
+ChannelAdapter.TwilioChannel = TwilioChannel;
+ChannelAdapter.MetaWhatsAppChannel = MetaWhatsAppChannel;
+ChannelAdapter.ConsoleChannel = ConsoleChannel;
+
+module.exports = ChannelAdapter;
@@ -0,0 +1,630 @@
+/**
+ * Command Parser Helper
+ * Tokenizes WhatsApp messages and turns them into structured commands.
+ * Keywords are case-insensitive, arguments keep their case and may be "quoted".
+ */
+
+const QUOTE_PAIRS = {
+    '"': '"',
+    '“': '”',
+    '”': '”'
+};
+
+// SEARCH type: filters and the Drive MIME types they match.
+// A trailing slash means "any type starting with".
+const SEARCH_TYPES = {
+    pdf: 'application/pdf',
+    doc: 'application/vnd.google-apps.document',
+    sheet: 'application/vnd.google-apps.spreadsheet',
+    slides: 'application/vnd.google-apps.presentation',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    folder: 'application/vnd.google-apps.folder',
+    text: 'text/plain',
+    csv: 'text/csv',
+    image: 'image/',
+    video: 'video/',
+    audio: 'audio/'
+};
+
+const AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// SHARE ... AS <role> names and the Drive permission roles they grant
+const SHARE_ROLES = {
+    viewer: 'reader',
+    commenter: 'commenter',
+    editor: 'writer'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Command fields that carry a Drive path
+const PATH_FIELDS = ['folderPath', 'filePath', 'sourcePath', 'destinationPath'];
+
+class CommandParseError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'CommandParseError';
+        this.token = token || null;
+    }
+}
+
+class CommandParser {
+    /**
+     * Split a message into tokens, keeping quoted text together.
+     * Quotes may also start mid-word (in:"Client Docs").
+     * Each token records its text, whether it was quoted and where it started.
+     */
+    tokenize(message) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < message.length) {
+            if (/\s/.test(message[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            const closingQuote = QUOTE_PAIRS[message[i]];
+
+            if (closingQuote) {
+                let value = '';
+                i++;
+                while (i < message.length && message[i] !== closingQuote) {
+                    // Allow \" inside quoted names
+                    if (message[i] === '\\' && message[i + 1] === closingQuote) {
+                        i++;
+                    }
+                    value += message[i];
+                    i++;
+                }
+
+                if (i >= message.length) {
+                    throw new CommandParseError('Missing closing quote', { value: message.substring(start), start });
+                }
+
+                i++;
+                tokens.push({ value, quoted: true, start });
+            } else {
+                let value = '';
+                while (i < message.length && !/\s/.test(message[i])) {
+                    // A quote inside a word, as in in:"Client Docs", quotes the rest of the value
+                    const innerClosing = QUOTE_PAIRS[message[i]];
+                    if (innerClosing) {
+                        const end = message.indexOf(innerClosing, i + 1);
+                        if (end === -1) {
+                            throw new CommandParseError('Missing closing quote', { value: message.substring(start), start });
+                        }
+                        value += message.substring(i + 1, end);
+                        i = end + 1;
+                        continue;
+                    }
+                    value += message[i];
+                    i++;
+                }
+                tokens.push({ value, quoted: false, start });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Check whether a token is the given keyword (quoted tokens never are)
+     */
+    isKeyword(token, keyword) {
+        return !!token && !token.quoted && token.value.toUpperCase() === keyword;
+    }
+
+    /**
+     * Join argument tokens back into one name, so unquoted names with spaces still work
+     */
+    joinArgs(tokens) {
+        return tokens.map(token => token.value).join(' ');
+    }
+
+    /**
+     * Require at least one argument token after the command keyword
+     */
+    requireArgs(args, commandToken, usage) {
+        if (args.length === 0) {
+            throw new CommandParseError(`${commandToken.value.toUpperCase()} needs ${usage}`, commandToken);
+        }
+    }
+
+    /**
+     * Split a trailing "PAGE <n>" off the argument list
+     */
+    takePage(args) {
+        const pageIndex = args.length - 2;
+        if (pageIndex >= 0 && this.isKeyword(args[pageIndex], 'PAGE')) {
+            const pageToken = args[pageIndex + 1];
+            if (!/^\d+$/.test(pageToken.value) || parseInt(pageToken.value, 10) < 1) {
+                throw new CommandParseError('PAGE must be followed by a page number', pageToken);
+            }
+            return { args: args.slice(0, pageIndex), page: parseInt(pageToken.value, 10) };
+        }
+
+        if (args.length > 0 && this.isKeyword(args[args.length - 1], 'PAGE')) {
+            throw new CommandParseError('PAGE must be followed by a page number', args[args.length - 1]);
+        }
+
+        return { args, page: 1 };
+    }
+
+    /**
+     * Parse a message into a command object.
+     * Unknown keywords give { command: 'UNKNOWN' }; malformed known commands give
+     * { command: 'PARSE_ERROR', error, token } pointing at the offending token.
+     * Path fields written in quotes are listed in quotedPaths, so a quoted "2" stays a name
+     * instead of an item number from the last listing.
+     */
+    parse(messageBody) {
+        const command = this.parseMessage(messageBody);
+        if (command.command === 'PARSE_ERROR' || command.command === 'UNKNOWN') {
+            return command;
+        }
+
+        const tokens = this.tokenize(String(messageBody || '').trim());
+        const quotedPaths = PATH_FIELDS.filter(field => typeof command[field] === 'string'
+            && tokens.some(token => token.quoted && token.value === command[field]));
+        if (quotedPaths.length > 0) {
+            command.quotedPaths = quotedPaths;
+        }
+        return command;
+    }
+
+    /**
+     * Parse a message into a command object, without noting which paths were quoted
+     */
+    parseMessage(messageBody) {
+        const message = String(messageBody || '').trim();
+
+        try {
+            const tokens = this.tokenize(message);
+            if (tokens.length === 0) {
+                return { command: 'UNKNOWN' };
+            }
+
+            const [commandToken, ...args] = tokens;
+            const keyword = commandToken.quoted ? '' : commandToken.value.toUpperCase();
+
+            switch (keyword) {
+                case 'LIST': {
+                    // Without a folder, LIST shows the working folder set with CD
+                    const paged = this.takePage(args);
+                    return { command: 'LIST', folderPath: paged.args.length > 0 ? this.joinArgs(paged.args) : null, page: paged.page };
+                }
+
+                case 'CD':
+                    this.requireArgs(args, commandToken, 'a folder, e.g. CD /Clients/Acme or CD ..');
+                    return { command: 'CD', folderPath: this.joinArgs(args) };
+
+                case 'PWD':
+                    if (args.length > 0) {
+                        throw new CommandParseError('PWD takes no arguments', args[0]);
+                    }
+                    return { command: 'PWD' };
+
+                case 'DELETE': {
+                    this.requireArgs(args, commandToken, 'a file name, e.g. DELETE report.pdf');
+                    const last = args[args.length - 1];
+                    let command = 'DELETE_REQUEST';
+                    let nameArgs = args;
+
+                    if (args.length > 1 && this.isKeyword(last, 'PERMANENT')) {
+                        command = 'PURGE_REQUEST';
+                        nameArgs = args.slice(0, -1);
+                    } else if (args.length > 1 && this.isKeyword(last, 'CONFIRM')) {
+                        // The old one-step "DELETE x CONFIRM" form only starts a confirmation now
+                        nameArgs = args.slice(0, -1);
+                    }
+
+                    const bulk = this.splitPattern(this.joinArgs(nameArgs), nameArgs[0]);
+                    if (bulk) {
+                        return { command, filePath: bulk.folderPath, pattern: bulk.pattern };
+                    }
+                    return { command, filePath: this.joinArgs(nameArgs) };
+                }
+
+                case 'TRASH': {
+                    const paged = this.takePage(args);
+                    if (paged.args.length > 0) {
+                        throw new CommandParseError('TRASH only takes PAGE <n>', paged.args[0]);
+                    }
+                    return { command: 'TRASH', page: paged.page };
+                }
+
+                case 'GET':
+                    this.requireArgs(args, commandToken, 'a file name, e.g. GET report.pdf');
+                    return { command: 'GET', filePath: this.joinArgs(args) };
+
+                case 'RESTORE':
+                    this.requireArgs(args, commandToken, 'a file name, e.g. RESTORE report.pdf');
+                    return { command: 'RESTORE', filePath: this.joinArgs(args) };
+
+                case 'MOVE':
+                    return this.parseMove(commandToken, args);
+
+                case 'COPY':
+                    return this.parseCopy(commandToken, args);
+
+                case 'RENAME':
+                    return this.parseRename(commandToken, args);
+
+                case 'MKDIR':
+                    this.requireArgs(args, commandToken, 'a folder path, e.g. MKDIR /Clients/Acme/2024');
+                    return { command: 'MKDIR', folderPath: this.joinArgs(args) };
+
+                case 'SHARE':
+                    return this.parseShare(commandToken, args);
+
+                case 'UNSHARE':
+                    this.requireArgs(args, commandToken, 'a file or folder and an email, e.g. UNSHARE Reports client@example.com');
+                    if (args.length < 2) {
+                        throw new CommandParseError('Missing the email address to remove', args[0]);
+                    }
+                    if (!EMAIL_PATTERN.test(args[args.length - 1].value)) {
+                        throw new CommandParseError('The last argument must be an email address', args[args.length - 1]);
+                    }
+                    return {
+                        command: 'UNSHARE',
+                        filePath: this.joinArgs(args.slice(0, -1)),
+                        email: args[args.length - 1].value.toLowerCase()
+                    };
+
+                case 'WHO':
+                    this.requireArgs(args, commandToken, 'a file or folder, e.g. WHO /Clients/Acme');
+                    return { command: 'WHO', filePath: this.joinArgs(args) };
+
+                case 'SUMMARY': {
+                    this.requireArgs(args, commandToken, 'a file or folder, e.g. SUMMARY Documents');
+                    // A trailing FRESH skips the summary cache
+                    const fresh = args.length > 1 && this.isKeyword(args[args.length - 1], 'FRESH');
+                    let path = this.joinArgs(fresh ? args.slice(0, -1) : args);
+                    // Remove leading slash from a bare file name like /report.pdf
+                    if (path.startsWith('/') && path.includes('.') && path.lastIndexOf('/') === 0) {
+                        path = path.substring(1).trim();
+                    }
+                    return { command: 'SUMMARY', folderPath: path, fresh };
+                }
+
+                case 'ASK':
+                    this.requireArgs(args, commandToken, 'a "quoted" file or folder and a question, e.g. ASK "contract.pdf" When does it end?');
+                    // Nothing marks where an unquoted name ends and the question starts, so the
+                    // name must be quoted. A bare number picks from the last listing.
+                    if (!args[0].quoted && !/^\d+$/.test(args[0].value)) {
+                        throw new CommandParseError('Put the file or folder name in "quotes", e.g. ASK "Q3 Report.pdf" When does it end?', args[0]);
+                    }
+                    if (args.length < 2) {
+                        throw new CommandParseError('Missing the question after the file or folder name', args[0]);
+                    }
+                    return { command: 'ASK', folderPath: args[0].value, question: this.joinArgs(args.slice(1)) };
+
+                case 'SEARCH':
+                    return this.parseSearch(commandToken, args, message);
+
+                case 'SAVE':
+                    return this.parseSave(args);
+
+                case 'CONFIRM':
+                    this.requireArgs(args, commandToken, 'the code you were sent, e.g. CONFIRM 123456');
+                    if (args.length > 1) {
+                        throw new CommandParseError('CONFIRM only takes the code', args[1]);
+                    }
+                    if (!/^\d+$/.test(args[0].value)) {
+                        throw new CommandParseError('The confirmation code must be a number', args[0]);
+                    }
+                    return { command: 'CONFIRM', code: args[0].value };
+
+                case 'RESUME':
+                    if (args.length > 0) {
+                        throw new CommandParseError('RESUME takes no arguments', args[0]);
+                    }
+                    return { command: 'RESUME' };
+
+                case 'MORE':
+                    if (args.length > 0) {
+                        throw new CommandParseError('MORE takes no arguments', args[0]);
+                    }
+                    return { command: 'MORE' };
+
+                case 'STATUS':
+                case 'LINK':
+                case 'UNLINK':
+                case 'WHOAMI':
+                    if (args.length > 0) {
+                        throw new CommandParseError(`${keyword} takes no arguments`, args[0]);
+                    }
+                    return { command: keyword };
+
+                case 'CANCEL':
+                    this.requireArgs(args, commandToken, 'the job to stop, e.g. CANCEL 3fa9c1');
+                    if (args.length > 1) {
+                        throw new CommandParseError('CANCEL only takes the job ID', args[1]);
+                    }
+                    return { command: 'CANCEL', jobId: args[0].value.toLowerCase() };
+
+                case 'HELP':
+                    return { command: 'HELP' };
+
+                default:
+                    if (tokens.length === 1 && /^\d+$/.test(commandToken.value)) {
+                        return { command: 'PICK', index: parseInt(commandToken.value, 10) };
+                    }
+                    return { command: 'UNKNOWN' };
+            }
+        } catch (error) {
+            if (error instanceof CommandParseError) {
+                return { command: 'PARSE_ERROR', error: error.message, token: error.token, message };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Parse SEARCH <terms> with optional type:, modified:, owner: and in: filters
+     */
+    parseSearch(commandToken, args, message) {
+        const paged = this.takePage(args);
+        const filters = {};
+        const terms = [];
+
+        for (let i = 0; i < paged.args.length; i++) {
+            const token = paged.args[i];
+            const filter = token.quoted ? null : token.value.match(/^(type|modified|owner|in):(.*)$/i);
+
+            if (!filter) {
+                terms.push(token);
+                continue;
+            }
+
+            const name = filter[1].toLowerCase();
+            let value = filter[2];
+
+            // Allow in: "Folder With Spaces" as two tokens
+            if (!value && paged.args[i + 1]) {
+                value = paged.args[++i].value;
+            }
+            if (!value) {
+                throw new CommandParseError(`${name}: needs a value`, token);
+            }
+
+            switch (name) {
+                case 'type':
+                    if (!SEARCH_TYPES[value.toLowerCase()]) {
+                        throw new CommandParseError(`Unknown type. Use one of: ${Object.keys(SEARCH_TYPES).join(', ')}`, token);
+                    }
+                    filters.type = value.toLowerCase();
+                    break;
+
+                case 'modified': {
+                    const age = value.match(/^([<>])(\d+)([dwmy])$/i);
+                    if (!age) {
+                        throw new CommandParseError('Use modified:<7d (newer than) or modified:>30d (older than); units d, w, m, y', token);
+                    }
+                    filters.modified = {
+                        newer: age[1] === '<',
+                        days: parseInt(age[2], 10) * AGE_UNITS[age[3].toLowerCase()],
+                        label: value
+                    };
+                    break;
+                }
+
+                case 'owner':
+                    if (value.toLowerCase() !== 'me' && !/^[^\s@]+@[^\s@]+$/.test(value)) {
+                        throw new CommandParseError('owner: takes "me" or an email address', token);
+                    }
+                    filters.owner = value.toLowerCase() === 'me' ? 'me' : value;
+                    break;
+
+                case 'in':
+                    filters.in = value;
+                    break;
+            }
+        }
+
+        if (terms.length === 0 && Object.keys(filters).length === 0) {
+            throw new CommandParseError('SEARCH needs words to look for or a filter, e.g. SEARCH invoice type:pdf', commandToken);
+        }
+
+        return {
+            command: 'SEARCH',
+            terms: this.joinArgs(terms),
+            filters,
+            // Access control checks the searched folder; without in: that is the whole Drive
+            folderPath: filters.in || '/',
+            // The search as typed, without PAGE, for the navigation hints
+            queryText: paged.args.length > 0
+                ? message.substring(paged.args[0].start, args.length > paged.args.length ? args[paged.args.length].start : message.length).trim()
+                : '',
+            page: paged.page
+        };
+    }
+
+    /**
+     * Parse SAVE [TO <folder>] [AS <name>], the caption of a media message
+     */
+    parseSave(args) {
+        let rest = args;
+        if (rest.length > 0 && this.isKeyword(rest[0], 'TO')) {
+            if (rest.length === 1) {
+                throw new CommandParseError('Missing the folder after TO', rest[0]);
+            }
+            rest = rest.slice(1);
+        }
+
+        let fileName = null;
+        const asIndex = rest.findIndex(token => this.isKeyword(token, 'AS'));
+        if (asIndex !== -1) {
+            if (asIndex === rest.length - 1) {
+                throw new CommandParseError('Missing the file name after AS', rest[asIndex]);
+            }
+            fileName = this.joinArgs(rest.slice(asIndex + 1));
+            rest = rest.slice(0, asIndex);
+        }
+
+        return {
+            command: 'SAVE',
+            folderPath: rest.length > 0 ? this.joinArgs(rest) : null,
+            fileName
+        };
+    }
+
+    /**
+     * Parse SHARE <path> WITH <email> [AS viewer|commenter|editor]; the role defaults to viewer
+     */
+    parseShare(commandToken, args) {
+        this.requireArgs(args, commandToken, 'a file or folder and an email, e.g. SHARE Reports WITH client@example.com AS viewer');
+
+        const withIndex = args.findIndex(token => this.isKeyword(token, 'WITH'));
+        if (withIndex === -1) {
+            throw new CommandParseError('Missing WITH <email>, e.g. SHARE Reports WITH client@example.com', args[args.length - 1]);
+        }
+        if (withIndex === 0) {
+            throw new CommandParseError('Missing the file or folder to share before WITH', args[0]);
+        }
+
+        const rest = args.slice(withIndex + 1);
+        if (rest.length === 0) {
+            throw new CommandParseError('Missing the email address after WITH', args[withIndex]);
+        }
+        if (!EMAIL_PATTERN.test(rest[0].value)) {
+            throw new CommandParseError('Expected an email address after WITH', rest[0]);
+        }
+
+        let role = 'viewer';
+        if (rest.length > 1) {
+            if (!this.isKeyword(rest[1], 'AS')) {
+                throw new CommandParseError('Expected AS viewer, AS commenter or AS editor', rest[1]);
+            }
+            if (rest.length === 2) {
+                throw new CommandParseError('Missing the role after AS', rest[1]);
+            }
+            if (!SHARE_ROLES[rest[2].value.toLowerCase()]) {
+                throw new CommandParseError(`Unknown role. Use one of: ${Object.keys(SHARE_ROLES).join(', ')}`, rest[2]);
+            }
+            if (rest.length > 3) {
+                throw new CommandParseError('Too many arguments after the role', rest[3]);
+            }
+            role = rest[2].value.toLowerCase();
+        }
+
+        return {
+            command: 'SHARE',
+            filePath: this.joinArgs(args.slice(0, withIndex)),
+            email: rest[0].value.toLowerCase(),
+            role
+        };
+    }
+
+    /**
+     * Split Folder/*.pdf into the folder and the wildcard pattern.
+     * Returns null when the path has no wildcards; a bare pattern applies to the working folder (.).
+     */
+    splitPattern(filePath, token) {
+        if (!/[*?]/.test(filePath)) {
+            return null;
+        }
+
+        const slashIndex = filePath.lastIndexOf('/');
+        const folderPath = slashIndex === -1 ? '.' : filePath.substring(0, slashIndex) || '/';
+        const pattern = filePath.substring(slashIndex + 1);
+
+        if (/[*?]/.test(folderPath)) {
+            throw new CommandParseError('Wildcards only work in the file name, e.g. Inbox/*.pdf', token);
+        }
+        if (!pattern) {
+            throw new CommandParseError('Missing the file pattern after the folder, e.g. Inbox/*.pdf', token);
+        }
+
+        return { folderPath, pattern };
+    }
+
+    /**
+     * Split <src> TO <target>, or exactly two arguments, into source and target names.
+     * spec gives the wording for errors: { usage, verb, target, missingTarget }.
+     */
+    parseSourceTarget(commandToken, args, spec) {
+        this.requireArgs(args, commandToken, spec.usage);
+
+        const toIndex = args.findIndex(token => this.isKeyword(token, 'TO'));
+        if (toIndex !== -1) {
+            if (toIndex === 0) {
+                throw new CommandParseError(`Missing the file to ${spec.verb} before TO`, args[0]);
+            }
+            if (toIndex === args.length - 1) {
+                throw new CommandParseError(`Missing the ${spec.target} after TO`, args[toIndex]);
+            }
+            return {
+                source: this.joinArgs(args.slice(0, toIndex)),
+                target: this.joinArgs(args.slice(toIndex + 1)),
+                targetToken: args[toIndex + 1]
+            };
+        }
+
+        if (args.length === 1) {
+            throw new CommandParseError(`Missing the ${spec.missingTarget}`, args[0]);
+        }
+        if (args.length > 2) {
+            throw new CommandParseError('Too many names. Use quotes or TO for names with spaces', args[2]);
+        }
+
+        return { source: args[0].value, target: args[1].value, targetToken: args[1] };
+    }
+
+    /**
+     * Parse MOVE <src> TO <dest>, or MOVE <src> <dest> with exactly two arguments
+     */
+    parseMove(commandToken, args) {
+        const { source, target } = this.parseSourceTarget(commandToken, args, {
+            usage: 'a source and a destination, e.g. MOVE report.pdf TO Archive',
+            verb: 'move',
+            target: 'destination',
+            missingTarget: 'destination folder'
+        });
+
+        const bulk = this.splitPattern(source, args[0]);
+        if (bulk) {
+            return { command: 'MOVE', sourcePath: bulk.folderPath, pattern: bulk.pattern, destinationPath: target };
+        }
+        return { command: 'MOVE', sourcePath: source, destinationPath: target };
+    }
+
+    /**
+     * Parse COPY <src> TO <folder>, or COPY <src> <folder>
+     */
+    parseCopy(commandToken, args) {
+        const { source, target } = this.parseSourceTarget(commandToken, args, {
+            usage: 'a file and a destination folder, e.g. COPY report.pdf TO Archive',
+            verb: 'copy',
+            target: 'destination',
+            missingTarget: 'destination folder'
+        });
+        return { command: 'COPY', sourcePath: source, destinationPath: target };
+    }
+
+    /**
+     * Parse RENAME <path> TO <new name>, or RENAME <path> <new name>
+     */
+    parseRename(commandToken, args) {
+        const { source, target, targetToken } = this.parseSourceTarget(commandToken, args, {
+            usage: 'a file and its new name, e.g. RENAME draft.docx TO final.docx',
+            verb: 'rename',
+            target: 'new name',
+            missingTarget: 'new name'
+        });
+        if (target.includes('/')) {
+            throw new CommandParseError('The new name can\'t contain "/". Use MOVE to put a file in another folder', targetToken);
+        }
+        return { command: 'RENAME', filePath: source, newName: target };
+    }
+}
+
+CommandParser.CommandParseError = CommandParseError;
+CommandParser.SEARCH_TYPES = SEARCH_TYPES;
+CommandParser.SHARE_ROLES = SHARE_ROLES;
+
+module.exports = CommandParser;
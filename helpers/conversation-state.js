@@ -0,0 +1,169 @@
+/**
+ * Conversation State Helper
+ * Remembers each sender's working folder (CD) and the items of their last LIST, so later
+ * commands can use relative paths and item numbers. State is kept on disk and forgotten
+ * after a period of inactivity.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PhoneNumber = require('./phone-number');
+
+// Parsed command fields that hold a Drive path
+const PATH_FIELDS = ['folderPath', 'filePath', 'sourcePath', 'destinationPath'];
+
+// Commands whose bare names are created or entered under the working folder.
+// Elsewhere a bare name is still searched for across the whole Drive.
+const RELATIVE_NAME_COMMANDS = ['CD', 'MKDIR'];
+
+class ConversationState {
+    constructor(options = {}) {
+        this.ttlMinutes = options.ttlMinutes || parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 120;
+        this.stateFile = options.stateFile || process.env.CONVERSATION_STATE_FILE || './data/conversations.json';
+        this.states = this.load();
+    }
+
+    /**
+     * Read saved state from disk, dropping conversations that have gone quiet
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const states = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                Object.keys(states).forEach(key => {
+                    if (this.isExpired(states[key])) {
+                        delete states[key];
+                    }
+                });
+                return states;
+            }
+        } catch (error) {
+            console.error('Failed to read conversation state:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Write all conversations to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.states, null, 2));
+        } catch (error) {
+            console.error('Failed to save conversation state:', error);
+        }
+    }
+
+    /**
+     * Whether a conversation has been quiet for longer than the expiry window
+     */
+    isExpired(state) {
+        return Date.now() - new Date(state.updatedAt).getTime() > this.ttlMinutes * 60 * 1000;
+    }
+
+    /**
+     * A sender's current state: { cwd: { id, path } | null, listing: { path, items } | null }
+     */
+    get(fromNumber) {
+        const key = PhoneNumber.normalize(fromNumber);
+        const state = this.states[key];
+        if (!state || this.isExpired(state)) {
+            if (state) {
+                delete this.states[key];
+                this.save();
+            }
+            return { cwd: null, listing: null };
+        }
+        return state;
+    }
+
+    /**
+     * Merge changes into a sender's state and mark them active
+     */
+    update(fromNumber, changes = {}) {
+        const key = PhoneNumber.normalize(fromNumber);
+        this.states[key] = {
+            ...this.get(fromNumber),
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+        return this.states[key];
+    }
+
+    /**
+     * Set the working folder. A path of '/' clears it.
+     */
+    setCwd(fromNumber, folder) {
+        return this.update(fromNumber, { cwd: folder && folder.path !== '/' ? folder : null });
+    }
+
+    /**
+     * Remember the items shown by a LIST, keyed by the number printed next to each
+     */
+    setListing(fromNumber, folderPath, files, firstNumber = 1) {
+        const items = {};
+        files.forEach((file, index) => {
+            items[firstNumber + index] = { id: file.id, name: file.name, mimeType: file.mimeType };
+        });
+        return this.update(fromNumber, { listing: { path: folderPath, items } });
+    }
+
+    /**
+     * Join a relative path onto a base folder, following . and .. segments
+     */
+    joinPath(base, relative) {
+        const segments = base.split('/').filter(Boolean);
+        relative.split('/').filter(Boolean).forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment !== '.') {
+                segments.push(segment);
+            }
+        });
+        return '/' + segments.join('/');
+    }
+
+    /**
+     * Expand item numbers and relative paths in a parsed command, in place: numbers from the
+     * last listing become id: values and relative paths become full paths. A bare LIST lists
+     * the working folder.
+     */
+    resolveArguments(fromNumber, parsedCommand) {
+        const state = this.get(fromNumber);
+        if (state.updatedAt) {
+            // Every message counts as activity, not just CD and LIST
+            this.update(fromNumber);
+        }
+        const cwdPath = state.cwd ? state.cwd.path : '/';
+
+        if (parsedCommand.command === 'LIST' && !parsedCommand.folderPath) {
+            parsedCommand.folderPath = cwdPath;
+        }
+
+        for (const field of PATH_FIELDS) {
+            const value = typeof parsedCommand[field] === 'string' ? parsedCommand[field].trim() : null;
+            if (!value || value.startsWith('/') || value.startsWith('id:')) {
+                continue;
+            }
+
+            // An unquoted number in the last listing is that item. Its ID is used, since the
+            // listed path may hold several items with that name. Anything else is a name.
+            const quoted = (parsedCommand.quotedPaths || []).includes(field);
+            const item = !quoted && /^\d+$/.test(value) && state.listing ? state.listing.items[value] : null;
+            if (item) {
+                parsedCommand[field] = `id:${item.id}`;
+                continue;
+            }
+
+            const isRelative = value.includes('/') || value === '..' || value === '.'
+                || RELATIVE_NAME_COMMANDS.includes(parsedCommand.command);
+            if (isRelative) {
+                parsedCommand[field] = this.joinPath(cwdPath, value);
+            }
+        }
+    }
+}
+
+module.exports = ConversationState;
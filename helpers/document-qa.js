@@ -0,0 +1,206 @@
+/**
+ * Document Q&A Helper
+ * Finds the passages most relevant to a question and has the model answer from them,
+ * citing short quotes. Citations that don't appear in the passages are dropped.
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does', 'for', 'from',
+    'how', 'i', 'in', 'is', 'it', 'its', 'many', 'much', 'of', 'on', 'or', 'our', 'should', 'that',
+    'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who',
+    'whom', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// JSON schema for the model's answer
+const RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        found: { type: 'BOOLEAN' },
+        answer: { type: 'STRING' },
+        citations: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    file: { type: 'STRING' },
+                    quote: { type: 'STRING' }
+                },
+                required: ['file', 'quote']
+            }
+        }
+    },
+    required: ['found']
+};
+
+class DocumentQA {
+    /**
+     * @param {Function} generate - async (prompt, options) => text returned by the model
+     */
+    constructor(generate, options = {}) {
+        this.generate = generate;
+        this.passageChars = options.passageChars || 800;
+        this.maxPassages = options.maxPassages || parseInt(process.env.ASK_MAX_PASSAGES, 10) || 6;
+        this.maxQuoteChars = options.maxQuoteChars || 200;
+    }
+
+    /**
+     * Lower-case word tokens without stop words
+     */
+    terms(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+    }
+
+    /**
+     * Split a document into passages of roughly passageChars, on paragraph boundaries
+     */
+    splitPassages(fileName, text) {
+        const passages = [];
+        let current = '';
+
+        for (const paragraph of text.split(/\n\s*\n|\n/)) {
+            if (current && current.length + paragraph.length > this.passageChars) {
+                passages.push({ fileName, text: current.trim() });
+                current = '';
+            }
+            current += (current ? '\n' : '') + paragraph;
+
+            // Hard-cut paragraphs that are much longer than a passage
+            while (current.length > this.passageChars * 2) {
+                passages.push({ fileName, text: current.substring(0, this.passageChars).trim() });
+                current = current.substring(this.passageChars);
+            }
+        }
+
+        if (current.trim()) {
+            passages.push({ fileName, text: current.trim() });
+        }
+
+        return passages;
+    }
+
+    /**
+     * Rank passages against the question with BM25 and keep the best ones
+     */
+    rankPassages(question, passages) {
+        const queryTerms = [...new Set(this.terms(question))];
+        if (queryTerms.length === 0 || passages.length === 0) {
+            return [];
+        }
+
+        const passageTerms = passages.map(passage => this.terms(passage.text));
+        const averageLength = passageTerms.reduce((sum, terms) => sum + terms.length, 0) / passages.length || 1;
+        const documentFrequency = {};
+        queryTerms.forEach(term => {
+            documentFrequency[term] = passageTerms.filter(terms => terms.includes(term)).length;
+        });
+
+        const k1 = 1.2;
+        const b = 0.75;
+
+        return passages
+            .map((passage, index) => {
+                const terms = passageTerms[index];
+                const score = queryTerms.reduce((total, term) => {
+                    const frequency = terms.filter(value => value === term).length;
+                    if (frequency === 0) {
+                        return total;
+                    }
+                    const idf = Math.log(1 + (passages.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                    return total + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * terms.length / averageLength));
+                }, 0);
+                return { ...passage, score };
+            })
+            .filter(passage => passage.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxPassages);
+    }
+
+    /**
+     * Build the answering prompt from the selected passages
+     */
+    buildPrompt(question, passages) {
+        const context = passages
+            .map((passage, index) => `[${index + 1}] File: ${passage.fileName}\n${passage.text}`)
+            .join('\n\n');
+
+        return `Answer the question using ONLY the passages below. Reply with JSON matching the schema.
+- If the passages contain the answer, set found to true, give a short answer, and add citations with the file name and an exact quote (under 30 words) copied from the passage that supports it.
+- If the passages do not contain the answer, set found to false and leave answer empty. Do not guess.
+
+Question: ${question}
+
+Passages:
+${context}`;
+    }
+
+    /**
+     * Collapse whitespace and case so quotes can be checked against passages
+     */
+    normalize(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Keep only citations whose quote really appears in a passage from that file
+     */
+    verifyCitations(citations, passages) {
+        if (!Array.isArray(citations)) {
+            return [];
+        }
+
+        return citations
+            .filter(citation => citation && typeof citation.quote === 'string' && citation.quote.trim())
+            .filter(citation => passages.some(passage =>
+                (!citation.file || this.normalize(passage.fileName) === this.normalize(citation.file)) &&
+                this.normalize(passage.text).includes(this.normalize(citation.quote))
+            ))
+            .map(citation => ({
+                file: citation.file,
+                quote: citation.quote.length > this.maxQuoteChars
+                    ? citation.quote.substring(0, this.maxQuoteChars - 3) + '...'
+                    : citation.quote.trim()
+            }));
+    }
+
+    /**
+     * Answer a question over a list of { fileName, text } documents.
+     * Returns { found, answer, citations, passagesSearched }.
+     */
+    async ask(question, documents) {
+        const passages = documents.reduce((all, document) => all.concat(this.splitPassages(document.fileName, document.text)), []);
+        const relevant = this.rankPassages(question, passages);
+
+        if (relevant.length === 0) {
+            return { found: false, answer: '', citations: [], passagesSearched: passages.length };
+        }
+
+        const text = await this.generate(this.buildPrompt(question, relevant), {
+            temperature: 0,
+            maxTokens: 500,
+            json: true,
+            responseSchema: RESPONSE_SCHEMA
+        });
+
+        let parsed;
+        try {
+            parsed = JSON.parse(String(text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        } catch (error) {
+            console.error('Error parsing Q&A response:', error);
+            return { found: false, answer: '', citations: [], passagesSearched: passages.length };
+        }
+
+        const citations = this.verifyCitations(parsed.citations, relevant);
+
+        // An answer without a verifiable quote is treated as not found
+        if (!parsed.found || !parsed.answer || citations.length === 0) {
+            return { found: false, answer: '', citations: [], passagesSearched: passages.length };
+        }
+
+        return { found: true, answer: parsed.answer.trim(), citations, passagesSearched: passages.length };
+    }
+}
+
+DocumentQA.RESPONSE_SCHEMA = RESPONSE_SCHEMA;
+
+module.exports = DocumentQA;
@@ -0,0 +1,56 @@
+/**
+ * Download Links Helper
+ * Issues unguessable, time-limited tokens for the /download/:token endpoint
+ */
+
+const crypto = require('crypto');
+
+class DownloadLinks {
+    constructor(options = {}) {
+        this.ttlSeconds = options.ttlSeconds || parseInt(process.env.GET_LINK_TTL_MINUTES, 10) * 60 || 60 * 60;
+        this.links = new Map();
+
+        this.sweepTimer = setInterval(() => this.sweepExpired(), 60 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Register a download and return its token and expiry
+     */
+    create(entry, ttlSeconds = this.ttlSeconds) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = Date.now() + ttlSeconds * 1000;
+
+        this.links.set(token, { ...entry, expiresAt });
+        return { token, expiresAt };
+    }
+
+    /**
+     * Look up a live download by token
+     */
+    get(token) {
+        const entry = this.links.get(token);
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() > entry.expiresAt) {
+            this.links.delete(token);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Drop expired downloads and any buffers they hold
+     */
+    sweepExpired() {
+        const now = Date.now();
+        for (const [token, entry] of this.links) {
+            if (now > entry.expiresAt) {
+                this.links.delete(token);
+            }
+        }
+    }
+}
+
+module.exports = DownloadLinks;
@@ -0,0 +1,225 @@
+/**
+ * Drive Accounts Helper
+ * Links WhatsApp numbers to their own Google accounts. LINK hands out an OAuth URL whose
+ * state parameter carries the sender's number, signed so the callback can trust it. Tokens
+ * are kept encrypted, one entry per number, and each linked number gets its own Drive client.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const TokenStore = require('./token-store');
+const PhoneNumber = require('./phone-number');
+
+class DriveAccounts {
+    /**
+     * @param {Function} createAuthClient - () => a new googleapis OAuth2 client
+     * @param {Function} createWorkspace - (auth) => the Drive helpers for one account
+     */
+    constructor(createAuthClient, createWorkspace, options = {}) {
+        this.createAuthClient = createAuthClient;
+        this.createWorkspace = createWorkspace;
+        this.secret = options.secret || process.env.TOKEN_STORE_KEY || null;
+        this.stateTtlSeconds = options.stateTtlSeconds || (parseInt(process.env.LINK_STATE_TTL_MINUTES, 10) || 15) * 60;
+        this.store = options.store || new TokenStore({
+            file: process.env.USER_TOKEN_STORE_FILE || './data/user-tokens.enc',
+            secret: this.secret
+        });
+        this.enabled = this.store.enabled;
+        this.accounts = this.store.load() || {};
+        this.workspaces = new Map();
+        // Used nonces are kept until their state expires, so a restart can't make one usable again
+        this.usedStatesFile = options.usedStatesFile || process.env.USED_STATES_FILE || './data/used-link-states.json';
+        this.usedStates = this.loadUsedStates();
+    }
+
+    /**
+     * Read the used nonces from disk, dropping those whose state has expired
+     */
+    loadUsedStates() {
+        const now = Date.now();
+        try {
+            if (fs.existsSync(this.usedStatesFile)) {
+                const saved = JSON.parse(fs.readFileSync(this.usedStatesFile, 'utf8'));
+                return new Map(Object.entries(saved).filter(([nonce, expiresAt]) => now <= expiresAt));
+            }
+        } catch (error) {
+            console.error('Failed to read used link states:', error);
+        }
+        return new Map();
+    }
+
+    /**
+     * Write the used nonces to disk
+     */
+    saveUsedStates() {
+        try {
+            fs.mkdirSync(path.dirname(this.usedStatesFile), { recursive: true });
+            fs.writeFileSync(this.usedStatesFile, JSON.stringify(Object.fromEntries(this.usedStates), null, 2));
+        } catch (error) {
+            console.error('Failed to save used link states:', error);
+        }
+    }
+
+    /**
+     * HMAC of a state payload, so a state can't be forged for someone else's number
+     */
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(`link-state:${payload}`).digest('base64url');
+    }
+
+    /**
+     * Build the signed, single-use OAuth state for a sender. The purpose keeps a LINK state
+     * from authorizing the shared account and the other way round.
+     */
+    createState(fromNumber, purpose = 'link', ttlSeconds = this.stateTtlSeconds) {
+        const payload = Buffer.from(JSON.stringify({
+            number: PhoneNumber.normalize(fromNumber),
+            purpose,
+            nonce: crypto.randomBytes(12).toString('base64url'),
+            expiresAt: Date.now() + ttlSeconds * 1000
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    /**
+     * Check a state without using it up. Returns the number it was issued to, or null when it
+     * is forged, issued for another purpose, expired or already used.
+     */
+    readState(state, purpose = 'link') {
+        const data = this.parseState(state, purpose);
+        return data ? data.number : null;
+    }
+
+    /**
+     * Check a state from the OAuth callback and mark it used. Returns the number it was
+     * issued to, or null like readState.
+     */
+    verifyState(state, purpose = 'link') {
+        const data = this.parseState(state, purpose);
+        if (!data) {
+            return null;
+        }
+
+        this.usedStates.set(data.nonce, data.expiresAt);
+        this.saveUsedStates();
+        return data.number;
+    }
+
+    /**
+     * Decode a state whose signature, purpose and expiry check out and that hasn't been used
+     */
+    parseState(state, purpose) {
+        const [payload, signature] = String(state || '').split('.');
+        if (!this.enabled || !payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.sign(payload));
+        const given = Buffer.from(signature);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.usedStates) {
+            if (now > expiresAt) {
+                this.usedStates.delete(nonce);
+            }
+        }
+        if (data.purpose !== purpose || now > data.expiresAt || this.usedStates.has(data.nonce)) {
+            return null;
+        }
+
+        return data;
+    }
+
+    /**
+     * Whether a number has linked its own Google account
+     */
+    isLinked(fromNumber) {
+        return !!this.accounts[PhoneNumber.normalize(fromNumber)];
+    }
+
+    /**
+     * The Drive helpers for a linked number, or null when the number has no linked account
+     */
+    get(fromNumber) {
+        const number = PhoneNumber.normalize(fromNumber);
+        const tokens = this.accounts[number];
+        if (!tokens) {
+            return null;
+        }
+
+        if (!this.workspaces.has(number)) {
+            const { linkedAt, updatedAt, ...credentials } = tokens;
+            const auth = this.createAuthClient();
+            auth.setCredentials(credentials);
+            // Keep refreshed access tokens, as the shared account does
+            auth.on('tokens', newTokens => this.saveTokens(number, newTokens));
+            this.workspaces.set(number, { ...this.createWorkspace(auth), auth, number, linked: true });
+        }
+        return this.workspaces.get(number);
+    }
+
+    /**
+     * Merge tokens into a number's entry and write the store
+     */
+    saveTokens(number, tokens) {
+        const entry = { ...(this.accounts[number] || {}) };
+        Object.entries(tokens || {}).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                entry[key] = value;
+            }
+        });
+        entry.updatedAt = new Date().toISOString();
+
+        this.accounts[number] = entry;
+        this.store.save(this.accounts);
+        return entry;
+    }
+
+    /**
+     * Tie tokens from the OAuth callback to a number, replacing any earlier link
+     */
+    link(fromNumber, tokens) {
+        const number = PhoneNumber.normalize(fromNumber);
+        this.workspaces.delete(number);
+        delete this.accounts[number];
+        this.saveTokens(number, { ...tokens, linkedAt: new Date().toISOString() });
+        return this.get(number);
+    }
+
+    /**
+     * Forget a number's tokens and ask Google to revoke them. Returns { wasLinked }.
+     */
+    async unlink(fromNumber) {
+        const number = PhoneNumber.normalize(fromNumber);
+        const tokens = this.accounts[number];
+        if (!tokens) {
+            return { wasLinked: false };
+        }
+
+        delete this.accounts[number];
+        this.workspaces.delete(number);
+        this.store.save(this.accounts);
+
+        try {
+            await this.createAuthClient().revokeToken(tokens.refresh_token || tokens.access_token);
+        } catch (error) {
+            // The tokens are gone from here either way; Google may already have dropped them
+            console.error(`Failed to revoke Google token for ${number}:`, error.message);
+        }
+        return { wasLinked: true };
+    }
+}
+
+module.exports = DriveAccounts;
@@ -0,0 +1,329 @@
+/**
+ * Drive Path Resolver Helper
+ * Resolves /a/b/c style paths and bare names to files in the storage backend, with ID caching
+ */
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+class DrivePathResolver {
+    /**
+     * @param {Object} storage - a StorageBackend (Google Drive, local folder or memory)
+     * @param {Function} options.getPathFilter - () => a predicate over full paths the current
+     *   sender may reach, or null when they have no folder limits
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.getPathFilter = options.getPathFilter || (() => null);
+        this.cacheTtlMs = options.cacheTtlMs || 60 * 1000;
+        this.lookupCache = new Map();
+        this.fileCache = new Map();
+    }
+
+    /**
+     * Escape a value for use inside a single-quoted Drive query string
+     */
+    escapeQuery(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    /**
+     * Check whether a path refers to the root of My Drive
+     */
+    isRoot(drivePath) {
+        const trimmed = String(drivePath || '').trim();
+        return trimmed === '' || trimmed === '/' || trimmed.toLowerCase() === 'root';
+    }
+
+    /**
+     * Split a path into its non-empty segments
+     */
+    splitPath(drivePath) {
+        return String(drivePath || '')
+            .split('/')
+            .map(segment => segment.trim())
+            .filter(segment => segment.length > 0);
+    }
+
+    /**
+     * Read a cached value if it has not expired
+     */
+    getCached(cache, key) {
+        const entry = cache.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (Date.now() - entry.storedAt > this.cacheTtlMs) {
+            cache.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    /**
+     * Store a value in one of the caches
+     */
+    setCached(cache, key, value) {
+        cache.set(key, { value, storedAt: Date.now() });
+    }
+
+    /**
+     * Forget every cached lookup, e.g. after a file was moved or renamed
+     */
+    invalidate() {
+        this.lookupCache.clear();
+        this.fileCache.clear();
+    }
+
+    /**
+     * Fetch file metadata by ID
+     */
+    async getFile(fileId) {
+        const cached = this.getCached(this.fileCache, fileId);
+        if (cached) {
+            return cached;
+        }
+
+        const file = await this.storage.getFile(fileId);
+        this.setCached(this.fileCache, fileId, file);
+        return file;
+    }
+
+    /**
+     * Look a name up inside parentId (anywhere when it is null), preferring exact name
+     * matches and falling back to case-insensitive ones
+     */
+    async findByName(name, parentId, folderOnly) {
+        const cacheKey = `${parentId || '*'}|${folderOnly ? 'folder' : 'any'}|${name.toLowerCase()}`;
+        const cached = this.getCached(this.lookupCache, cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const matches = await this.storage.findByName(name, { parentId, folderOnly });
+        matches.forEach(file => this.setCached(this.fileCache, file.id, file));
+        this.setCached(this.lookupCache, cacheKey, matches);
+        return matches;
+    }
+
+    /**
+     * Build the full /a/b/c path of a file by walking its parents
+     */
+    async getPath(fileId) {
+        const segments = [];
+        let currentId = fileId;
+
+        // Guard against cycles and very deep trees
+        for (let depth = 0; depth < 32 && currentId; depth++) {
+            const file = await this.getFile(currentId);
+            if (!file.parents || file.parents.length === 0) {
+                // My Drive itself has no parents and no meaningful name
+                if (depth === 0) {
+                    segments.unshift(file.name);
+                }
+                break;
+            }
+            segments.unshift(file.name);
+            currentId = file.parents[0];
+        }
+
+        return '/' + segments.join('/');
+    }
+
+    /**
+     * Attach full paths to a list of candidate files
+     */
+    async describeCandidates(files) {
+        return Promise.all(files.map(async file => {
+            let filePath = file.name;
+            try {
+                filePath = await this.getPath(file.id);
+            } catch (error) {
+                console.error(`Error building path for ${file.name}:`, error);
+            }
+            return { id: file.id, name: file.name, mimeType: file.mimeType, path: filePath };
+        }));
+    }
+
+    /**
+     * Full path of a resolved file, with the root itself as /
+     */
+    async getFullPath(file) {
+        if (!file.parents || file.parents.length === 0) {
+            return '/';
+        }
+        return this.getPath(file.id);
+    }
+
+    /**
+     * Keep the files whose full path passes the filter, described like candidates.
+     * Files whose path can't be built are dropped.
+     */
+    async filterByPath(files, allows) {
+        const described = await Promise.all(files.map(async file => {
+            try {
+                const filePath = await this.getFullPath(file);
+                return allows(filePath) ? { id: file.id, name: file.name, mimeType: file.mimeType, path: filePath, file } : null;
+            } catch (error) {
+                console.error(`Error building path for ${file.name}:`, error);
+                return null;
+            }
+        }));
+        return described.filter(Boolean);
+    }
+
+    /**
+     * Keep the trashed items the current sender may reach, judged by the folder each was
+     * trashed from. Items whose folder can't be found any more are left out.
+     */
+    async filterTrashed(files) {
+        const allows = this.getPathFilter();
+        if (!allows) {
+            return files;
+        }
+
+        const kept = await Promise.all(files.map(async file => {
+            try {
+                const folderPath = await this.getFullPath(await this.getFile(file.parents[0]));
+                return allows(`${folderPath.replace(/\/+$/, '')}/${file.name}`) ? file : null;
+            } catch (error) {
+                console.error(`Error building path for trashed ${file.name}:`, error);
+                return null;
+            }
+        }));
+        return kept.filter(Boolean);
+    }
+
+    /**
+     * Resolve a path or bare name.
+     * Returns { file }, { candidates } when the name is ambiguous, or { error }, with
+     * denied: true when the sender's folder limits are what refused it.
+     * Paths of the form id:<fileId> skip the lookup. Whatever the form, a file outside the
+     * current sender's folders is refused, and bare-name matches outside them are left out.
+     */
+    async resolve(drivePath, options = {}) {
+        const folderOnly = !!options.folderOnly;
+        const label = folderOnly ? 'Folder' : 'File';
+        const allows = this.getPathFilter();
+
+        try {
+            const trimmed = String(drivePath || '').trim();
+
+            if (trimmed.startsWith('id:')) {
+                const file = await this.getFile(trimmed.substring(3));
+                if (allows && !allows(await this.getFullPath(file))) {
+                    return { error: `'${file.name}' is outside the folders you can access`, denied: true };
+                }
+                return { file };
+            }
+
+            if (this.isRoot(trimmed)) {
+                if (allows && !allows('/')) {
+                    return { error: 'The top folder is outside the folders you can access', denied: true };
+                }
+                return { file: { id: 'root', name: '/', mimeType: FOLDER_MIME_TYPE, parents: [] } };
+            }
+
+            const segments = this.splitPath(trimmed);
+
+            // A bare name without slashes is searched across the whole Drive
+            if (!trimmed.startsWith('/') && segments.length === 1) {
+                const matches = await this.findByName(segments[0], null, folderOnly);
+                const allowed = allows ? await this.filterByPath(matches, allows) : null;
+                const count = allowed ? allowed.length : matches.length;
+
+                if (count === 0) {
+                    // Matches outside the sender's folders read as not found, but are still audited
+                    return matches.length > 0
+                        ? { error: `${label} '${trimmed}' not found`, denied: true }
+                        : { error: `${label} '${trimmed}' not found` };
+                }
+                if (count > 1) {
+                    return { candidates: allowed ? allowed.map(({ file, ...candidate }) => candidate) : await this.describeCandidates(matches) };
+                }
+                return { file: allowed ? allowed[0].file : matches[0] };
+            }
+
+            // A walk from root follows the real hierarchy, so the typed path is where it leads
+            if (allows && !allows('/' + segments.join('/'))) {
+                return { error: `'/${segments.join('/')}' is outside the folders you can access`, denied: true };
+            }
+
+            // Otherwise walk the hierarchy one folder at a time from root
+            let parentId = 'root';
+            let current = null;
+
+            for (let i = 0; i < segments.length; i++) {
+                const isLast = i === segments.length - 1;
+                const matches = await this.findByName(segments[i], parentId, !isLast || folderOnly);
+
+                if (matches.length === 0) {
+                    const walked = '/' + segments.slice(0, i + 1).join('/');
+                    return { error: `${isLast ? label : 'Folder'} '${walked}' not found` };
+                }
+                if (matches.length > 1) {
+                    return { candidates: await this.describeCandidates(matches) };
+                }
+
+                current = matches[0];
+                parentId = current.id;
+            }
+
+            return { file: current };
+        } catch (error) {
+            console.error(`Error resolving path ${drivePath}:`, error);
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Walk a folder path from root, creating every folder that doesn't exist yet.
+     * Returns { folder, created } with the paths of the new folders, or { error }.
+     */
+    async createFolderPath(drivePath) {
+        const segments = this.splitPath(drivePath);
+        if (segments.length === 0) {
+            return { error: 'A folder name is needed' };
+        }
+
+        const allows = this.getPathFilter();
+        if (allows && !allows('/' + segments.join('/'))) {
+            return { error: `'/${segments.join('/')}' is outside the folders you can access`, denied: true };
+        }
+
+        let parentId = 'root';
+        let current = null;
+        const created = [];
+
+        try {
+            for (let i = 0; i < segments.length; i++) {
+                const walked = '/' + segments.slice(0, i + 1).join('/');
+                const matches = await this.findByName(segments[i], parentId, true);
+
+                if (matches.length > 1) {
+                    return { error: `'${walked}' matches ${matches.length} folders, so it's unclear where to create the rest` };
+                }
+
+                if (matches.length === 1) {
+                    current = matches[0];
+                } else {
+                    current = await this.storage.createFolder(segments[i], parentId);
+                    created.push(walked);
+                }
+                parentId = current.id;
+            }
+        } catch (error) {
+            console.error(`Error creating folder path ${drivePath}:`, error);
+            return { error: error.message, created };
+        } finally {
+            if (created.length > 0) {
+                this.invalidate();
+            }
+        }
+
+        return { folder: current, created };
+    }
+}
+
+DrivePathResolver.FOLDER_MIME_TYPE = FOLDER_MIME_TYPE;
+
+module.exports = DrivePathResolver;
@@ -1,11 +1,12 @@
 /**
  * Google OAuth2 Setup Helper
- * This script helps configure Google Drive and Gemini API access
+ * This script helps configure Google Drive access and checks the LLM provider
  */
 
 const https = require('https');
-const fs = require('fs');
 const readline = require('readline');
+const TokenStore = require('./token-store');
+const LLMProvider = require('./llm-provider');
 
 class GoogleAuthSetup {
     constructor() {
@@ -16,6 +17,7 @@ class GoogleAuthSetup {
             'https://www.googleapis.com/auth/drive',
             'https://www.googleapis.com/auth/drive.file'
         ];
+        this.tokenStore = new TokenStore();
     }
 
     /**
@@ -114,50 +116,10 @@ class GoogleAuthSetup {
     }
 
     /**
-     * Test Google Gemini API access
+     * Check that the configured LLM provider answers. Returns { ok, provider, model, error }.
      */
-    async testGeminiAccess(apiKey) {
-        const testPrompt = 'Hello, please respond with "API is working" if you can see this message.';
-        
-        const requestData = {
-            contents: [{
-                parts: [{
-                    text: testPrompt
-                }]
-            }]
-        };
-
-        return new Promise((resolve, reject) => {
-            const postData = JSON.stringify(requestData);
-            
-            const options = {
-                hostname: 'generativelanguage.googleapis.com',
-                port: 443,
-                path: `/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData)
-                }
-            };
-
-            const req = https.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        resolve(result);
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
-            });
-
-            req.on('error', reject);
-            req.write(postData);
-            req.end();
-        });
+    async testLLMProvider(provider = LLMProvider.fromEnv()) {
+        return provider.healthCheck();
     }
 
     /**
@@ -182,20 +144,21 @@ class GoogleAuthSetup {
                 console.log('Please set GOOGLE_OAUTH_CLIENT_ID and GOOGLE_OAUTH_CLIENT_SECRET');
                 return;
             }
+            if (!this.tokenStore.enabled) {
+                console.log('❌ TOKEN_STORE_KEY is not set, so the tokens could not be saved');
+                console.log('Please set TOKEN_STORE_KEY to a long random secret');
+                return;
+            }
 
-            // Test Gemini API if key is provided
-            const geminiKey = process.env.GOOGLE_GEMINI_API_KEY;
-            if (geminiKey) {
-                console.log('🤖 Testing Google Gemini API...');
-                try {
-                    const geminiResult = await this.testGeminiAccess(geminiKey);
-                    if (geminiResult.candidates && geminiResult.candidates[0]) {
-                        console.log('✅ Google Gemini API is working');
-                    } else {
-                        console.log('⚠️  Google Gemini API test returned unexpected result');
-                    }
-                } catch (error) {
-                    console.log('❌ Google Gemini API test failed:', error.message);
+            // Test the LLM provider if it is configured
+            const provider = LLMProvider.fromEnv();
+            if (provider.isConfigured()) {
+                console.log(`🤖 Testing LLM provider ${provider.name} (${provider.model})...`);
+                const health = await this.testLLMProvider(provider);
+                if (health.ok) {
+                    console.log(`✅ LLM provider ${provider.name} is working`);
+                } else {
+                    console.log(`❌ LLM provider ${provider.name} test failed:`, health.error);
                 }
                 console.log('');
             }
@@ -231,22 +194,17 @@ class GoogleAuthSetup {
                     console.log('⚠️  Google Drive API test completed but no user info returned');
                 }
 
-                // Save credentials for n8n
-                const credentials = {
-                    client_id: this.clientId,
-                    client_secret: this.clientSecret,
+                // Save tokens where the server loads them from, in the same shape googleapis uses
+                this.tokenStore.update({
                     access_token: tokens.access_token,
                     refresh_token: tokens.refresh_token,
-                    scope: this.scopes.join(' '),
+                    scope: tokens.scope || this.scopes.join(' '),
                     token_type: tokens.token_type || 'Bearer',
                     expiry_date: tokens.expires_in ? 
                         Date.now() + (tokens.expires_in * 1000) : 
                         Date.now() + (3600 * 1000)
-                };
-
-                fs.writeFileSync('google-credentials.json', JSON.stringify(credentials, null, 2));
-                console.log('💾 Credentials saved to google-credentials.json');
-                console.log('📋 Import these credentials into n8n Google OAuth2 configuration');
+                });
+                console.log(`💾 Tokens saved to the encrypted token store at ${this.tokenStore.file}`);
 
             } else {
                 console.log('❌ Failed to obtain access token:', tokens);
@@ -0,0 +1,144 @@
+/**
+ * Intent Classifier Helper
+ * Maps free-form WhatsApp messages to one of the supported commands using an LLM
+ */
+
+// Commands the model may choose, with the arguments each one needs
+const INTENTS = {
+    LIST: { required: ['path'] },
+    SUMMARY: { required: ['path'] },
+    MOVE: { required: ['path', 'destination'] },
+    DELETE: { required: ['path'] },
+    RESTORE: { required: ['path'] },
+    TRASH: { required: [] },
+    HELP: { required: [] },
+    NONE: { required: [] }
+};
+
+// JSON schema handed to the model so it can only answer in this shape
+const RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        command: { type: 'STRING', enum: Object.keys(INTENTS) },
+        path: { type: 'STRING' },
+        destination: { type: 'STRING' },
+        page: { type: 'INTEGER' }
+    },
+    required: ['command']
+};
+
+const MAX_ARGUMENT_LENGTH = 300;
+
+class IntentClassifier {
+    /**
+     * @param {Function} generate - async (prompt, options) => text returned by the model
+     */
+    constructor(generate, options = {}) {
+        this.generate = generate;
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.NL_FALLBACK_ENABLED !== 'false';
+    }
+
+    /**
+     * Build the instruction prompt for a user message
+     */
+    buildPrompt(message) {
+        return `You translate WhatsApp messages into commands for a Google Drive assistant.
+Reply with JSON only, matching the schema. Choose one command:
+
+- LIST: list a folder. path = folder path or name.
+- SUMMARY: summarize a file or folder. path = file or folder.
+- MOVE: move a file. path = file to move, destination = target folder.
+- DELETE: move a file to the trash. path = file.
+- RESTORE: bring a file back from the trash. path = file name.
+- TRASH: list recently trashed files.
+- HELP: the user asks what the assistant can do.
+- NONE: the message is not a request for any of the above, or is too unclear.
+
+Use names exactly as the user wrote them. Use "/" for the root folder. Never invent names that are not in the message.
+
+Message: ${JSON.stringify(message)}`;
+    }
+
+    /**
+     * Quote an argument so the command parser reads it back as one token
+     */
+    quote(value) {
+        return `"${value.replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Check a string argument from the model
+     */
+    isValidArgument(value) {
+        return typeof value === 'string' &&
+            value.trim().length > 0 &&
+            value.length <= MAX_ARGUMENT_LENGTH &&
+            !/[\r\n]/.test(value);
+    }
+
+    /**
+     * Validate the model output and turn it into the equivalent command text.
+     * Returns null when the output does not describe a usable command.
+     */
+    toCommandText(intent) {
+        if (!intent || typeof intent !== 'object' || !INTENTS[intent.command]) {
+            return null;
+        }
+
+        const spec = INTENTS[intent.command];
+        if (!spec.required.every(field => this.isValidArgument(intent[field]))) {
+            return null;
+        }
+
+        const pathArg = intent.path ? this.quote(intent.path.trim()) : '';
+
+        switch (intent.command) {
+            case 'LIST': {
+                const page = Number.isInteger(intent.page) && intent.page > 1 ? ` PAGE ${intent.page}` : '';
+                return `LIST ${pathArg}${page}`;
+            }
+            case 'MOVE':
+                return `MOVE ${pathArg} TO ${this.quote(intent.destination.trim())}`;
+            case 'SUMMARY':
+            case 'DELETE':
+            case 'RESTORE':
+                return `${intent.command} ${pathArg}`;
+            case 'TRASH':
+            case 'HELP':
+                return intent.command;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Ask the model what the message means.
+     * Returns the command text, or null when nothing usable came back.
+     */
+    async classify(message) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            const text = await this.generate(this.buildPrompt(message), {
+                temperature: 0,
+                maxTokens: 200,
+                json: true,
+                responseSchema: RESPONSE_SCHEMA
+            });
+
+            // Tolerate a fenced code block around the JSON
+            const json = String(text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+            return this.toCommandText(JSON.parse(json));
+        } catch (error) {
+            console.error('Error classifying message intent:', error);
+            return null;
+        }
+    }
+}
+
+IntentClassifier.INTENTS = INTENTS;
+IntentClassifier.RESPONSE_SCHEMA = RESPONSE_SCHEMA;
+
+module.exports = IntentClassifier;
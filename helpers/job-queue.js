@@ -0,0 +1,210 @@
+/**
+ * Job Queue Helper
+ * Runs slow commands in the background with limited concurrency, reports progress,
+ * supports cancellation and keeps queued jobs on disk so they survive a restart.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Finished jobs stay visible to STATUS for this long
+const FINISHED_RETENTION_MS = 60 * 60 * 1000;
+
+class JobQueue {
+    /**
+     * @param {Object} runners - job type => async (payload, context) => result.
+     *   context.progress(done, total) reports progress, context.isCancelled() checks for CANCEL,
+     *   context.fromNumber is the sender who queued the job.
+     */
+    constructor(runners, options = {}) {
+        this.runners = runners;
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+        this.progressIntervalMs = (options.progressIntervalSeconds || Number(process.env.JOB_PROGRESS_SECONDS) || 15) * 1000;
+        this.stateFile = options.stateFile || process.env.JOB_STATE_FILE || './data/jobs.json';
+        this.onProgress = options.onProgress || null;
+        this.onComplete = options.onComplete || null;
+        this.running = 0;
+        this.jobs = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Restore queued jobs from disk. Jobs that were running when the process stopped are queued again.
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.stateFile)) {
+                return;
+            }
+            JSON.parse(fs.readFileSync(this.stateFile, 'utf8')).forEach(job => {
+                this.jobs.set(job.id, { ...job, status: 'queued', restored: true });
+            });
+        } catch (error) {
+            console.error('Failed to read job queue state:', error);
+        }
+    }
+
+    /**
+     * Write queued and running jobs to disk
+     */
+    save() {
+        const active = [...this.jobs.values()]
+            .filter(job => job.status === 'queued' || job.status === 'running')
+            .map(({ result, ...job }) => job);
+
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(active, null, 2));
+        } catch (error) {
+            console.error('Failed to save job queue state:', error);
+        }
+    }
+
+    /**
+     * Start restored jobs. Call once the runners' dependencies are ready.
+     */
+    start() {
+        this.pump();
+    }
+
+    /**
+     * Queue a job and start it when a slot is free
+     */
+    enqueue(fromNumber, type, payload, label) {
+        const job = {
+            id: crypto.randomBytes(3).toString('hex'),
+            fromNumber,
+            type,
+            payload,
+            label,
+            status: 'queued',
+            progress: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.jobs.set(job.id, job);
+        this.save();
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Position of a queued job among the jobs still waiting (1-based), or 0 once it has started
+     */
+    getPosition(jobId) {
+        const queued = [...this.jobs.values()].filter(job => job.status === 'queued');
+        return queued.findIndex(job => job.id === jobId) + 1;
+    }
+
+    /**
+     * Start as many queued jobs as the concurrency limit allows
+     */
+    pump() {
+        for (const job of this.jobs.values()) {
+            if (this.running >= this.concurrency) {
+                break;
+            }
+            if (job.status === 'queued') {
+                this.run(job);
+            }
+        }
+    }
+
+    /**
+     * Run one job to completion and hand its result to onComplete
+     */
+    async run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.save();
+
+        let lastProgressAt = Date.now();
+        const context = {
+            fromNumber: job.fromNumber,
+            progress: (done, total) => {
+                job.progress = { done, total };
+                // Throttled, and never for the last item since the final reply follows straight away
+                if (this.onProgress && done < total && Date.now() - lastProgressAt >= this.progressIntervalMs) {
+                    lastProgressAt = Date.now();
+                    this.onProgress(job);
+                }
+            },
+            isCancelled: () => !!job.cancelRequested
+        };
+
+        try {
+            const runner = this.runners[job.type];
+            if (!runner) {
+                throw new Error(`No runner for job type ${job.type}`);
+            }
+            job.result = await runner(job.payload, context);
+            job.status = job.cancelRequested ? 'cancelled' : 'done';
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        this.running--;
+        this.save();
+        this.pruneFinished();
+
+        if (this.onComplete) {
+            try {
+                await this.onComplete(job);
+            } catch (error) {
+                console.error(`Error reporting job ${job.id}:`, error);
+            }
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Cancel a sender's job. Queued jobs stop at once; running jobs stop at their next checkpoint.
+     * Returns { job } or { error }.
+     */
+    cancel(fromNumber, jobId) {
+        const job = this.jobs.get(String(jobId).toLowerCase());
+        if (!job || job.fromNumber !== fromNumber) {
+            return { error: `No job ${jobId} found. Send STATUS to see your jobs.` };
+        }
+        if (job.status !== 'queued' && job.status !== 'running') {
+            return { error: `Job ${job.id} has already ${job.status === 'done' ? 'finished' : job.status}.` };
+        }
+
+        job.cancelRequested = true;
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            this.save();
+        }
+        return { job };
+    }
+
+    /**
+     * A sender's jobs, oldest first
+     */
+    list(fromNumber) {
+        this.pruneFinished();
+        return [...this.jobs.values()].filter(job => job.fromNumber === fromNumber);
+    }
+
+    /**
+     * Drop finished jobs older than the retention window
+     */
+    pruneFinished() {
+        const cutoff = Date.now() - FINISHED_RETENTION_MS;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = JobQueue;
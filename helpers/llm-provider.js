@@ -0,0 +1,238 @@
+/**
+ * LLM Provider Helper
+ * One interface for the language models behind summaries, ASK and the free-form fallback:
+ * generate(prompt, { maxTokens, temperature, json, responseSchema }) resolves to the model's
+ * text, or null when it returned none. Gemini, any OpenAI-compatible endpoint (including
+ * local servers) and a deterministic mock are available, chosen with LLM_PROVIDER.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+class LLMProvider {
+    constructor(options = {}) {
+        this.model = options.model || null;
+        this.timeoutMs = (options.timeoutSeconds || parseInt(process.env.LLM_TIMEOUT_SECONDS, 10) || 60) * 1000;
+    }
+
+    /**
+     * Build the provider named by LLM_PROVIDER (gemini, openai or mock; default gemini)
+     */
+    static fromEnv() {
+        const type = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+        const model = process.env.LLM_MODEL || undefined;
+
+        if (type === 'mock') {
+            return new MockProvider({ model });
+        }
+        if (type === 'openai') {
+            return new OpenAICompatibleProvider({
+                model,
+                apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+                baseUrl: process.env.LLM_BASE_URL
+            });
+        }
+        if (type !== 'gemini') {
+            console.error(`Unknown LLM_PROVIDER '${type}', using gemini`);
+        }
+        return new GeminiProvider({
+            model,
+            apiKey: process.env.LLM_API_KEY || process.env.GOOGLE_GEMINI_API_KEY
+        });
+    }
+
+    get name() {
+        return 'none';
+    }
+
+    /**
+     * Whether the provider has what it needs to make calls (e.g. an API key)
+     */
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * Generate text for a prompt
+     */
+    async generate(prompt, options = {}) {
+        throw new Error(`${this.name} provider does not implement generate`);
+    }
+
+    /**
+     * Make a tiny request to check the provider answers. Returns { ok, provider, model, error }.
+     */
+    async healthCheck() {
+        const result = { ok: false, provider: this.name, model: this.model };
+        if (!this.isConfigured()) {
+            return { ...result, error: 'Not configured' };
+        }
+
+        try {
+            const text = await this.generate('Reply with the single word OK.', { maxTokens: 10, temperature: 0 });
+            return text && text.trim() ? { ...result, ok: true } : { ...result, error: 'Empty response' };
+        } catch (error) {
+            const details = error.response && error.response.data && error.response.data.error;
+            return { ...result, error: (details && details.message) || error.message };
+        }
+    }
+}
+
+/**
+ * Google Gemini generateContent API. The key goes in a header rather than the URL.
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'gemini-1.5-flash' });
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+    }
+
+    get name() {
+        return 'gemini';
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async generate(prompt, options = {}) {
+        const generationConfig = {};
+        if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+        if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+        if (options.json) generationConfig.responseMimeType = 'application/json';
+        if (options.responseSchema) generationConfig.responseSchema = options.responseSchema;
+
+        const response = await axios.post(
+            `${this.baseUrl}/models/${encodeURIComponent(this.model)}:generateContent`,
+            {
+                contents: [{
+                    parts: [{ text: prompt }]
+                }],
+                generationConfig
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-goog-api-key': this.apiKey
+                },
+                timeout: this.timeoutMs
+            }
+        );
+
+        const candidate = response.data.candidates && response.data.candidates[0];
+        if (candidate && candidate.content && candidate.content.parts && candidate.content.parts[0]) {
+            return candidate.content.parts[0].text;
+        }
+        return null;
+    }
+}
+
+/**
+ * Any /chat/completions endpoint: OpenAI itself, or a local server such as
+ * llama.cpp, vLLM or Ollama. The API key is optional for local servers.
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'gpt-4o-mini' });
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    isConfigured() {
+        // Local servers usually need no key, but OpenAI itself does
+        return !!this.apiKey || !this.baseUrl.startsWith('https://api.openai.com');
+    }
+
+    /**
+     * Convert a Gemini-style schema (type: 'OBJECT') to standard JSON Schema (type: 'object')
+     */
+    toJsonSchema(schema) {
+        if (Array.isArray(schema)) {
+            return schema.map(item => this.toJsonSchema(item));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const converted = {};
+        Object.entries(schema).forEach(([key, value]) => {
+            converted[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : this.toJsonSchema(value);
+        });
+        return converted;
+    }
+
+    async generate(prompt, options = {}) {
+        const body = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }]
+        };
+        if (options.temperature !== undefined) body.temperature = options.temperature;
+        if (options.maxTokens) body.max_tokens = options.maxTokens;
+        if (options.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: this.toJsonSchema(options.responseSchema) }
+            };
+        } else if (options.json) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            timeout: this.timeoutMs
+        });
+
+        const choice = response.data.choices && response.data.choices[0];
+        return choice && choice.message ? choice.message.content : null;
+    }
+}
+
+/**
+ * Offline provider that never calls out. Replies come from the first rule whose match
+ * (a substring or RegExp) is found in the prompt; otherwise the same prompt always gets the
+ * same canned text, or {} when JSON was asked for. Every call is recorded in calls.
+ */
+class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'mock' });
+        this.rules = options.rules || [];
+        this.calls = [];
+    }
+
+    get name() {
+        return 'mock';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async generate(prompt, options = {}) {
+        this.calls.push({ prompt, options });
+
+        const rule = this.rules.find(({ match }) => (match instanceof RegExp ? match.test(prompt) : prompt.includes(match)));
+        if (rule) {
+            return typeof rule.text === 'function' ? rule.text(prompt, options) : rule.text;
+        }
+        if (options.json || options.responseSchema) {
+            return '{}';
+        }
+
+        const digest = crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 8);
+        return `Mock response ${digest} for a ${prompt.length}-character prompt.`;
+    }
+}
+
+LLMProvider.GeminiProvider = GeminiProvider;
+LLMProvider.OpenAICompatibleProvider = OpenAICompatibleProvider;
+LLMProvider.MockProvider = MockProvider;
+
+module.exports = LLMProvider;
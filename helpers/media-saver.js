@@ -0,0 +1,116 @@
+/**
+ * Media Saver Helper
+ * Uploads WhatsApp media attachments into a folder of the storage backend. The bytes are
+ * fetched through the messaging channel the message arrived on.
+ */
+
+// File extensions for the content types WhatsApp usually sends
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/heic': '.heic',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'text/plain': '.txt',
+    'text/csv': '.csv',
+    'text/vcard': '.vcf',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/amr': '.amr',
+    'video/mp4': '.mp4',
+    'video/3gpp': '.3gp'
+};
+
+class MediaSaver {
+    /**
+     * @param {Object} storage - the StorageBackend files are saved to
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        // (item) => Promise<Buffer>, usually the channel's downloadMedia
+        this.fetchMedia = options.fetchMedia || null;
+    }
+
+    /**
+     * Download one media item from the channel it arrived on
+     */
+    async download(item) {
+        if (!this.fetchMedia) {
+            throw new Error('No media download configured');
+        }
+        return this.fetchMedia(item);
+    }
+
+    /**
+     * Build a file name from the caption or the current time, with a matching extension
+     */
+    buildName(baseName, contentType, index, total) {
+        const extension = EXTENSIONS[contentType.split(';')[0].trim()] || '';
+        let name = (baseName || '').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim();
+
+        if (!name) {
+            const stamp = new Date().toISOString().replace('T', ' ').replace(/:/g, '').substring(0, 17);
+            name = `WhatsApp ${stamp}`;
+        }
+        if (extension && name.toLowerCase().endsWith(extension)) {
+            name = name.substring(0, name.length - extension.length);
+        }
+        if (total > 1) {
+            name += ` ${index + 1}`;
+        }
+
+        return { base: name, extension };
+    }
+
+    /**
+     * Pick a name that doesn't clash with a file already in the folder: "x.jpg", "x (2).jpg", ...
+     */
+    async uniqueName(folderId, base, extension) {
+        const files = await this.storage.listFolder(folderId);
+        const taken = new Set(files.map(file => file.name.toLowerCase()));
+
+        let candidate = `${base}${extension}`;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})${extension}`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Save every media item into the folder.
+     * Returns { saved: [...], failed: [...] }.
+     */
+    async saveAll(items, folder, baseName) {
+        const saved = [];
+        const failed = [];
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            try {
+                const buffer = await this.download(item);
+                const { base, extension } = this.buildName(baseName, item.contentType, i, items.length);
+                const name = await this.uniqueName(folder.id, base, extension);
+
+                const file = await this.storage.createFile(name, folder.id, buffer, item.contentType);
+
+                saved.push({ ...file, size: file.size || buffer.length });
+            } catch (error) {
+                console.error(`Error saving media ${item.url || item.id}:`, error);
+                failed.push({ contentType: item.contentType, error: error.message });
+            }
+        }
+
+        return { saved, failed };
+    }
+}
+
+MediaSaver.EXTENSIONS = EXTENSIONS;
+
+module.exports = MediaSaver;
@@ -0,0 +1,136 @@
+/**
+ * Outbound Messages Helper
+ * Every outgoing WhatsApp text passes through here. Bodies over the per-message limit are
+ * split at paragraph boundaries into numbered parts. Very long replies send only the first
+ * part and hold the rest until the recipient asks for MORE. A newer reply drops whatever was
+ * held, so MORE never continues an older one.
+ */
+
+const PhoneNumber = require('./phone-number');
+
+class OutboundMessages {
+    /**
+     * @param {Function} transport - async (to, body, mediaUrl) => void that sends one message
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.maxLength = options.maxLength || parseInt(process.env.WHATSAPP_MAX_MESSAGE_CHARS, 10) || 1600;
+        this.holdAbove = options.holdAbove || parseInt(process.env.REPLY_HOLD_ABOVE_CHARS, 10) || 4000;
+        this.holdMinutes = options.holdMinutes || parseInt(process.env.REPLY_HOLD_MINUTES, 10) || 30;
+        this.held = new Map();
+    }
+
+    /**
+     * Split text into pieces of at most limit characters: by paragraph, then line, then word
+     */
+    split(text, limit) {
+        const pieces = [];
+        let current = '';
+
+        const flush = () => {
+            if (current.trim()) {
+                pieces.push(current.trim());
+            }
+            current = '';
+        };
+
+        // separator joins the unit to what came before; an oversized unit is broken up by
+        // splitter and its pieces keep filling the current part
+        const add = (unit, separator, splitter) => {
+            const joined = current ? current + separator + unit : unit;
+            if (joined.length <= limit) {
+                current = joined;
+                return;
+            }
+            if (unit.length > limit && splitter) {
+                splitter(unit, separator);
+                return;
+            }
+
+            flush();
+            if (unit.length <= limit) {
+                current = unit;
+            } else {
+                // A single word longer than a message is cut where it has to be
+                for (let i = 0; i < unit.length; i += limit) {
+                    pieces.push(unit.substring(i, i + limit));
+                }
+            }
+        };
+
+        const byWord = (line, lead) => line.split(/ +/).forEach((word, i) => add(word, i === 0 ? lead : ' ', null));
+        const byLine = (paragraph, lead) => paragraph.split('\n').forEach((line, i) => add(line, i === 0 ? lead : '\n', byWord));
+        text.split(/\n\s*\n/).forEach(paragraph => add(paragraph, '\n\n', byLine));
+
+        flush();
+        return pieces;
+    }
+
+    /**
+     * Split a body into numbered parts that each fit in one message, footer included
+     */
+    toParts(body) {
+        const text = String(body || '');
+        if (text.length <= this.maxLength) {
+            return [text];
+        }
+
+        // Leave room for the "(12/12)" and MORE footers
+        const pieces = this.split(text, this.maxLength - 60);
+        return pieces.map((piece, index) => `${piece}\n\n(${index + 1}/${pieces.length})`);
+    }
+
+    /**
+     * Send a reply, splitting it as needed. Media is attached to the first part.
+     * options.keepHeld leaves earlier held parts waiting, for the parts MORE sends and for
+     * notices that aren't replies.
+     */
+    async send(to, body, mediaUrl, options = {}) {
+        const parts = this.toParts(body);
+        if (!options.keepHeld) {
+            this.held.delete(PhoneNumber.normalize(to));
+        }
+
+        if (parts.length > 1 && String(body).length > this.holdAbove) {
+            this.held.set(PhoneNumber.normalize(to), {
+                parts: parts.slice(1),
+                expiresAt: Date.now() + this.holdMinutes * 60 * 1000
+            });
+            await this.transport(to, this.withMoreHint(parts[0], parts.length - 1), mediaUrl);
+            return { sent: 1, held: parts.length - 1 };
+        }
+
+        for (let i = 0; i < parts.length; i++) {
+            await this.transport(to, parts[i], i === 0 ? mediaUrl : undefined);
+        }
+        return { sent: parts.length, held: 0 };
+    }
+
+    /**
+     * Add the reminder that more parts are waiting
+     */
+    withMoreHint(part, remaining) {
+        return `${part}\n📨 Send MORE for the next part (${remaining} left).`;
+    }
+
+    /**
+     * Take the next held part for a recipient, or null when nothing is waiting
+     */
+    takeNext(to) {
+        const key = PhoneNumber.normalize(to);
+        const entry = this.held.get(key);
+        if (!entry || Date.now() > entry.expiresAt) {
+            this.held.delete(key);
+            return null;
+        }
+
+        const part = entry.parts.shift();
+        if (entry.parts.length === 0) {
+            this.held.delete(key);
+            return part;
+        }
+        return this.withMoreHint(part, entry.parts.length);
+    }
+}
+
+module.exports = OutboundMessages;
@@ -0,0 +1,141 @@
+/**
+ * Pending Actions Helper
+ * Holds destructive actions that wait for a CONFIRM <code> reply from the same sender
+ */
+
+const crypto = require('crypto');
+const PhoneNumber = require('./phone-number');
+
+class PendingActions {
+    constructor(options = {}) {
+        this.ttlSeconds = options.ttlSeconds || parseInt(process.env.PENDING_ACTION_TTL_SECONDS, 10) || 120;
+        this.codeLength = options.codeLength || 6;
+        this.onExpire = options.onExpire || null;
+        this.actions = new Map();
+
+        // Sweep expired actions so expiry is recorded even if the sender goes quiet
+        this.sweepTimer = setInterval(() => this.sweepExpired(), 30 * 1000);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Generate a short numeric confirmation code
+     */
+    generateCode() {
+        let code = '';
+        for (let i = 0; i < this.codeLength; i++) {
+            code += crypto.randomInt(0, 10).toString();
+        }
+        return code;
+    }
+
+    /**
+     * Create a pending action for a sender, replacing any earlier one.
+     * expects names the command that completes it, e.g. CONFIRM or PICK.
+     */
+    create(fromNumber, type, details, expects = 'CONFIRM') {
+        const now = Date.now();
+        const action = {
+            type,
+            details,
+            expects,
+            fromNumber: PhoneNumber.normalize(fromNumber),
+            code: this.generateCode(),
+            createdAt: now,
+            expiresAt: now + this.ttlSeconds * 1000
+        };
+
+        this.actions.set(action.fromNumber, action);
+        return action;
+    }
+
+    /**
+     * Get the live pending action for a sender, expiring it if its window has passed
+     */
+    get(fromNumber) {
+        const key = PhoneNumber.normalize(fromNumber);
+        const action = this.actions.get(key);
+
+        if (!action) {
+            return null;
+        }
+
+        if (Date.now() > action.expiresAt) {
+            this.expire(key, action);
+            return null;
+        }
+
+        return action;
+    }
+
+    /**
+     * Consume a pending action when the sender replies with its code
+     */
+    confirm(fromNumber, code) {
+        const key = PhoneNumber.normalize(fromNumber);
+        const action = this.actions.get(key);
+
+        if (!action) {
+            return { error: 'There is no pending action to confirm.' };
+        }
+
+        if (Date.now() > action.expiresAt) {
+            this.expire(key, action);
+            return { error: 'The confirmation code has expired. Please send the command again.', action, expired: true };
+        }
+
+        this.actions.delete(key);
+
+        if (String(code) !== action.code) {
+            return { error: 'The confirmation code does not match. The pending action was cancelled.', action, cancelled: true };
+        }
+
+        return { action };
+    }
+
+    /**
+     * Remove and return a sender's live pending action without checking a code
+     */
+    consume(fromNumber) {
+        const action = this.get(fromNumber);
+        if (action) {
+            this.actions.delete(action.fromNumber);
+        }
+        return action;
+    }
+
+    /**
+     * Cancel a sender's pending action, returning it if one existed
+     */
+    cancel(fromNumber) {
+        const action = this.get(fromNumber);
+        if (action) {
+            this.actions.delete(action.fromNumber);
+        }
+        return action;
+    }
+
+    /**
+     * Drop an expired action and notify the expiry callback
+     */
+    expire(key, action) {
+        this.actions.delete(key);
+        if (this.onExpire) {
+            this.onExpire(action);
+        }
+    }
+
+    /**
+     * Expire every action whose window has passed
+     */
+    sweepExpired() {
+        const now = Date.now();
+        for (const [key, action] of this.actions) {
+            if (now > action.expiresAt) {
+                this.expire(key, action);
+            }
+        }
+    }
+}
+
+module.exports = PendingActions;
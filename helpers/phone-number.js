@@ -0,0 +1,30 @@
+/**
+ * Phone Number Helper
+ * The one form a sender's number is kept in, so access control, conversation state, linked
+ * accounts, pending actions, jobs and outbound limits all key a sender the same way, and the
+ * channels hand the server numbers that match those keys.
+ */
+
+class PhoneNumber {
+    /**
+     * Strip the whatsapp: prefix and formatting, so 'whatsapp:+1 (555) 000-1111' and
+     * '15550001111' both become '+15550001111'. Anything that isn't a phone number, such
+     * as 'console', comes back trimmed but otherwise unchanged.
+     */
+    static normalize(number) {
+        const value = String(number || '').trim().replace(/^whatsapp:/i, '');
+        if (!/^\+?[\d\s().-]+$/.test(value)) {
+            return value;
+        }
+        return `+${value.replace(/\D/g, '')}`;
+    }
+
+    /**
+     * The whatsapp:+<digits> address the channels send to and report senders as
+     */
+    static toAddress(number) {
+        return `whatsapp:${PhoneNumber.normalize(number)}`;
+    }
+}
+
+module.exports = PhoneNumber;
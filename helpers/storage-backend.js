@@ -0,0 +1,842 @@
+/**
+ * Storage Backend Helper
+ * One interface for where files live, so listing, path lookups, moves, deletes and the
+ * downloads behind SUMMARY and ASK work the same on Google Drive, a local folder or an
+ * in-memory store. Every backend returns Drive-shaped metadata
+ * ({ id, name, mimeType, parents, size, modifiedTime, md5Checksum }) and calls its top
+ * folder 'root'. Chosen with STORAGE_BACKEND; see test/storage-conformance.js for the checks
+ * every backend must pass.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const MediaSaver = require('./media-saver');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const FILE_FIELDS = 'id,name,mimeType,parents,size,modifiedTime,md5Checksum';
+
+// Content types for local files, from the extensions MediaSaver gives uploads
+const MIME_TYPES = {
+    '.md': 'text/markdown',
+    '.json': 'application/json',
+    '.html': 'text/html',
+    ...Object.fromEntries(Object.entries(MediaSaver.EXTENSIONS).map(([mimeType, extension]) => [extension, mimeType]))
+};
+
+// Seeded into the memory backend when MEMORY_STORAGE_FIXTURES is not set
+const DEFAULT_FIXTURES = {
+    '/Documents/Welcome.txt': 'Welcome to the in-memory storage backend. Files here live only as long as the server runs.',
+    '/Documents/Meeting notes.md': '# Weekly sync\n\n- Budget review moved to Friday\n- New hires start on the 3rd\n- Office closed next Monday',
+    '/Reports/Q1 report.txt': 'Q1 revenue grew 12% over the previous quarter, driven by subscription renewals.',
+    '/Reports/Q2 report.txt': 'Q2 revenue was flat. Support costs rose 8% after the pricing change.',
+    '/Archive/': null
+};
+
+class StorageBackend {
+    /**
+     * Build the local or memory backend named by STORAGE_BACKEND. Returns null for drive
+     * (the default), whose backend is created per Google account with GoogleDriveBackend.
+     */
+    static fromEnv() {
+        const type = (process.env.STORAGE_BACKEND || 'drive').toLowerCase();
+        if (type === 'local') {
+            return new LocalFileBackend({ root: process.env.LOCAL_STORAGE_ROOT });
+        }
+        if (type === 'memory') {
+            return new MemoryBackend({ fixtures: MemoryBackend.loadFixtures(process.env.MEMORY_STORAGE_FIXTURES) });
+        }
+        if (type !== 'drive') {
+            console.error(`Unknown STORAGE_BACKEND '${type}', using drive`);
+        }
+        return null;
+    }
+
+    get name() {
+        return 'none';
+    }
+
+    /**
+     * Metadata of one file or folder. Throws when it doesn't exist.
+     */
+    async getFile(fileId) {
+        throw new Error(`${this.name} backend does not implement getFile`);
+    }
+
+    /**
+     * The files and folders directly inside a folder, sorted by name, without trashed ones.
+     * A trashed folder lists as empty, or throws where it is no longer there.
+     */
+    async listFolder(folderId) {
+        throw new Error(`${this.name} backend does not implement listFolder`);
+    }
+
+    /**
+     * Items named name (ignoring case; exact matches win when there are any), inside
+     * options.parentId or anywhere when it is not given
+     */
+    async findByName(name, options = {}) {
+        throw new Error(`${this.name} backend does not implement findByName`);
+    }
+
+    /**
+     * Create a folder inside parentId. Returns its metadata.
+     */
+    async createFolder(name, parentId) {
+        throw new Error(`${this.name} backend does not implement createFolder`);
+    }
+
+    /**
+     * Create a file inside parentId from a Buffer. Returns its metadata.
+     */
+    async createFile(name, parentId, buffer, mimeType) {
+        throw new Error(`${this.name} backend does not implement createFile`);
+    }
+
+    /**
+     * Move a file or folder into another folder. Returns its new metadata, whose ID may differ.
+     * Throws when the folder already holds an item with the same name, as a local folder can't
+     * hold two.
+     */
+    async moveFile(fileId, folderId) {
+        throw new Error(`${this.name} backend does not implement moveFile`);
+    }
+
+    /**
+     * Move a file or folder to the trash, out of listings and lookups
+     */
+    async trashFile(fileId) {
+        throw new Error(`${this.name} backend does not implement trashFile`);
+    }
+
+    /**
+     * Items moved to the trash directly, newest first, named options.name (matched like
+     * findByName) when it is given. Each has trashedTime, and parents is where it was.
+     */
+    async listTrash(options = {}) {
+        throw new Error(`${this.name} backend does not implement listTrash`);
+    }
+
+    /**
+     * Put a trashed item back where it was. Returns its metadata, whose ID may differ.
+     * Throws when that folder has since gained an item with the same name.
+     */
+    async restoreFile(fileId) {
+        throw new Error(`${this.name} backend does not implement restoreFile`);
+    }
+
+    /**
+     * Delete a file, or a folder with everything in it, for good
+     */
+    async deleteFile(fileId) {
+        throw new Error(`${this.name} backend does not implement deleteFile`);
+    }
+
+    /**
+     * A file's raw bytes
+     */
+    async download(fileId) {
+        throw new Error(`${this.name} backend does not implement download`);
+    }
+
+    /**
+     * Export a native Google file to another format. Only Drive has such files.
+     */
+    async exportFile(fileId, mimeType) {
+        throw new Error(`The ${this.name} storage backend can't export files`);
+    }
+
+    /**
+     * Sort listings the same way on every backend
+     */
+    sortByName(files) {
+        return files.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Keep exact name matches when there are any, otherwise the case-insensitive ones
+     */
+    pickMatches(files, name) {
+        const exact = files.filter(file => file.name === name);
+        return exact.length > 0 ? exact : files.filter(file => file.name.toLowerCase() === name.toLowerCase());
+    }
+
+    /**
+     * Most recently trashed first
+     */
+    sortByTrashedTime(files) {
+        return files.sort((a, b) => new Date(b.trashedTime) - new Date(a.trashedTime));
+    }
+}
+
+/**
+ * Google Drive through the googleapis client of one account
+ */
+class GoogleDriveBackend extends StorageBackend {
+    constructor(drive) {
+        super();
+        this.drive = drive;
+    }
+
+    get name() {
+        return 'drive';
+    }
+
+    /**
+     * Escape a value for use inside a single-quoted Drive query string
+     */
+    escapeQuery(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    async getFile(fileId) {
+        const response = await this.drive.files.get({ fileId, fields: FILE_FIELDS });
+        return response.data;
+    }
+
+    async listFolder(folderId) {
+        const files = [];
+        let pageToken;
+
+        do {
+            const response = await this.drive.files.list({
+                q: `'${this.escapeQuery(folderId)}' in parents and trashed=false`,
+                fields: `nextPageToken,files(${FILE_FIELDS})`,
+                orderBy: 'name',
+                pageSize: 1000,
+                pageToken
+            });
+            files.push(...response.data.files);
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return files;
+    }
+
+    async findByName(name, options = {}) {
+        const scopeQuery = options.parentId ? `'${this.escapeQuery(options.parentId)}' in parents and ` : '';
+        const typeQuery = options.folderOnly ? ` and mimeType='${FOLDER_MIME_TYPE}'` : '';
+        const baseQuery = `${scopeQuery}trashed=false${typeQuery}`;
+
+        const response = await this.drive.files.list({
+            q: `name='${this.escapeQuery(name)}' and ${baseQuery}`,
+            fields: `files(${FILE_FIELDS})`,
+            pageSize: 100
+        });
+        if (response.data.files.length > 0) {
+            return response.data.files;
+        }
+
+        // Drive name queries are case-sensitive, so widen the search and compare ourselves
+        const widened = await this.drive.files.list({
+            q: `name contains '${this.escapeQuery(name)}' and ${baseQuery}`,
+            fields: `files(${FILE_FIELDS})`,
+            pageSize: 100
+        });
+        return this.pickMatches(widened.data.files, name);
+    }
+
+    async createFolder(name, parentId) {
+        const response = await this.drive.files.create({
+            requestBody: { name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] },
+            fields: FILE_FIELDS
+        });
+        return response.data;
+    }
+
+    async createFile(name, parentId, buffer, mimeType) {
+        // SAVE replies with the link to each uploaded file
+        const response = await this.drive.files.create({
+            requestBody: { name, parents: [parentId] },
+            media: { mimeType, body: Readable.from(buffer) },
+            fields: `${FILE_FIELDS},webViewLink`
+        });
+        return response.data;
+    }
+
+    /**
+     * Whether a folder holds an item other than fileId with exactly this name
+     */
+    async hasNameInFolder(name, folderId, fileId) {
+        const existing = await this.drive.files.list({
+            q: `name='${this.escapeQuery(name)}' and '${this.escapeQuery(folderId)}' in parents and trashed=false`,
+            fields: 'files(id,name)',
+            pageSize: 10
+        });
+        return existing.data.files.some(item => item.id !== fileId && item.name === name);
+    }
+
+    async moveFile(fileId, folderId) {
+        const file = await this.getFile(fileId);
+        if (await this.hasNameInFolder(file.name, folderId, fileId)) {
+            throw new Error(`'${file.name}' already exists in the destination folder`);
+        }
+
+        const response = await this.drive.files.update({
+            fileId,
+            addParents: folderId,
+            removeParents: (file.parents || []).join(','),
+            fields: FILE_FIELDS
+        });
+        return response.data;
+    }
+
+    async trashFile(fileId) {
+        await this.drive.files.update({ fileId, requestBody: { trashed: true } });
+    }
+
+    /**
+     * Every trashed item a query matches, leaving out those only trashed with their folder
+     */
+    async listTrashed(q) {
+        const files = [];
+        let pageToken;
+
+        do {
+            const response = await this.drive.files.list({
+                q,
+                fields: `nextPageToken,files(${FILE_FIELDS},trashedTime,explicitlyTrashed)`,
+                pageSize: 1000,
+                pageToken
+            });
+            files.push(...response.data.files);
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return files
+            .filter(file => file.explicitlyTrashed !== false)
+            .map(({ explicitlyTrashed, ...file }) => ({ ...file, trashedTime: file.trashedTime || file.modifiedTime }));
+    }
+
+    async listTrash(options = {}) {
+        if (!options.name) {
+            return this.sortByTrashedTime(await this.listTrashed('trashed=true'));
+        }
+
+        // Ask Drive for the name, so older trash can't push the item out of the results.
+        // Name queries are case-sensitive, so fall back to a contains query and compare ourselves.
+        let matches = await this.listTrashed(`name='${this.escapeQuery(options.name)}' and trashed=true`);
+        if (matches.length === 0) {
+            matches = this.pickMatches(await this.listTrashed(`name contains '${this.escapeQuery(options.name)}' and trashed=true`), options.name);
+        }
+        return this.sortByTrashedTime(matches);
+    }
+
+    async restoreFile(fileId) {
+        const file = await this.getFile(fileId);
+        const folderId = (file.parents || [])[0];
+        if (folderId && await this.hasNameInFolder(file.name, folderId, fileId)) {
+            throw new Error(`'${file.name}' already exists in the folder it was trashed from`);
+        }
+
+        const response = await this.drive.files.update({
+            fileId,
+            requestBody: { trashed: false },
+            fields: FILE_FIELDS
+        });
+        return response.data;
+    }
+
+    async deleteFile(fileId) {
+        await this.drive.files.delete({ fileId });
+    }
+
+    async download(fileId) {
+        const response = await this.drive.files.get(
+            { fileId, alt: 'media' },
+            { responseType: 'arraybuffer' }
+        );
+        return Buffer.from(response.data);
+    }
+
+    async exportFile(fileId, mimeType) {
+        const response = await this.drive.files.export(
+            { fileId, mimeType },
+            { responseType: 'arraybuffer' }
+        );
+        return Buffer.from(response.data);
+    }
+}
+
+/**
+ * A folder on this machine, e.g. a self-hosted file share. IDs are paths relative to the
+ * root folder, so they change when an item is moved. Trashed items go to .trash in the root,
+ * with .trash/.index.json recording where each came from; their IDs are trash:<entry>.
+ */
+class LocalFileBackend extends StorageBackend {
+    constructor(options = {}) {
+        super();
+        this.root = path.resolve(options.root || './data/files');
+        this.trashDir = path.join(this.root, '.trash');
+        this.trashIndexFile = path.join(this.trashDir, '.index.json');
+        this.maxSearchEntries = options.maxSearchEntries || 10000;
+        fs.mkdirSync(this.root, { recursive: true });
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    /**
+     * Absolute path for an ID, refusing anything that points outside the root
+     */
+    toPath(fileId) {
+        if (fileId === 'root') {
+            return this.root;
+        }
+
+        const absolute = path.resolve(this.root, String(fileId));
+        if (!absolute.startsWith(this.root + path.sep) || absolute.startsWith(this.trashDir)) {
+            throw new Error(`File '${fileId}' not found`);
+        }
+        return absolute;
+    }
+
+    /**
+     * ID for an absolute path inside the root
+     */
+    toId(absolute) {
+        return absolute === this.root ? 'root' : path.relative(this.root, absolute).split(path.sep).join('/');
+    }
+
+    /**
+     * Drive-shaped metadata from a path and its stat
+     */
+    describe(absolute, stat) {
+        const isFolder = stat.isDirectory();
+        const file = {
+            id: this.toId(absolute),
+            name: absolute === this.root ? '/' : path.basename(absolute),
+            mimeType: isFolder ? FOLDER_MIME_TYPE : (MIME_TYPES[path.extname(absolute).toLowerCase()] || 'application/octet-stream'),
+            parents: absolute === this.root ? [] : [this.toId(path.dirname(absolute))],
+            modifiedTime: stat.mtime.toISOString()
+        };
+        if (!isFolder) {
+            file.size = String(stat.size);
+        }
+        return file;
+    }
+
+    /**
+     * Entries of a directory, leaving out the trash and other hidden files
+     */
+    readFolder(absolute) {
+        return fs.readdirSync(absolute)
+            .filter(entry => !entry.startsWith('.'))
+            .map(entry => {
+                const child = path.join(absolute, entry);
+                return this.describe(child, fs.statSync(child));
+            });
+    }
+
+    /**
+     * Throw a not-found error that reads like Drive's instead of ENOENT
+     */
+    stat(fileId) {
+        try {
+            return fs.statSync(this.toPath(fileId));
+        } catch (error) {
+            throw new Error(`File '${fileId}' not found`);
+        }
+    }
+
+    /**
+     * Refuse names that would step outside their folder
+     */
+    checkName(name) {
+        if (!name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+            throw new Error(`'${name}' is not a valid file name`);
+        }
+    }
+
+    async getFile(fileId) {
+        return this.describe(this.toPath(fileId), this.stat(fileId));
+    }
+
+    async listFolder(folderId) {
+        if (!this.stat(folderId).isDirectory()) {
+            throw new Error(`'${folderId}' is not a folder`);
+        }
+        return this.sortByName(this.readFolder(this.toPath(folderId)));
+    }
+
+    async findByName(name, options = {}) {
+        let candidates;
+        if (options.parentId) {
+            candidates = await this.listFolder(options.parentId);
+        } else {
+            // Walk the whole tree, breadth first, up to maxSearchEntries items
+            candidates = [];
+            const queue = [this.root];
+            while (queue.length > 0 && candidates.length < this.maxSearchEntries) {
+                this.readFolder(queue.shift()).forEach(file => {
+                    candidates.push(file);
+                    if (file.mimeType === FOLDER_MIME_TYPE) {
+                        queue.push(this.toPath(file.id));
+                    }
+                });
+            }
+        }
+
+        if (options.folderOnly) {
+            candidates = candidates.filter(file => file.mimeType === FOLDER_MIME_TYPE);
+        }
+        return this.pickMatches(candidates, name);
+    }
+
+    async createFolder(name, parentId) {
+        this.checkName(name);
+        const absolute = path.join(this.toPath(parentId), name);
+        fs.mkdirSync(absolute);
+        return this.describe(absolute, fs.statSync(absolute));
+    }
+
+    async createFile(name, parentId, buffer, mimeType) {
+        this.checkName(name);
+        const absolute = path.join(this.toPath(parentId), name);
+        fs.writeFileSync(absolute, buffer, { flag: 'wx' });
+        return this.describe(absolute, fs.statSync(absolute));
+    }
+
+    async moveFile(fileId, folderId) {
+        const source = this.toPath(fileId);
+        this.stat(fileId);
+        if (!this.stat(folderId).isDirectory()) {
+            throw new Error(`'${folderId}' is not a folder`);
+        }
+
+        const target = path.join(this.toPath(folderId), path.basename(source));
+        if (target === source) {
+            return this.getFile(fileId);
+        }
+        if (target.startsWith(source + path.sep)) {
+            throw new Error(`Can't move '${path.basename(source)}' into itself`);
+        }
+        if (fs.existsSync(target)) {
+            throw new Error(`'${path.basename(source)}' already exists in the destination folder`);
+        }
+
+        fs.renameSync(source, target);
+        return this.describe(target, fs.statSync(target));
+    }
+
+    /**
+     * Where each trash entry came from: { entry: { name, parentId, trashedTime } }
+     */
+    readTrashIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(this.trashIndexFile, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeTrashIndex(index) {
+        fs.writeFileSync(this.trashIndexFile, JSON.stringify(index, null, 2));
+    }
+
+    async trashFile(fileId) {
+        const source = this.toPath(fileId);
+        this.stat(fileId);
+        fs.mkdirSync(this.trashDir, { recursive: true });
+
+        const trashedTime = new Date();
+        const entry = `${trashedTime.getTime()}-${path.basename(source)}`;
+        fs.renameSync(source, path.join(this.trashDir, entry));
+
+        const index = this.readTrashIndex();
+        index[entry] = { name: path.basename(source), parentId: this.toId(path.dirname(source)), trashedTime: trashedTime.toISOString() };
+        this.writeTrashIndex(index);
+    }
+
+    async listTrash(options = {}) {
+        if (!fs.existsSync(this.trashDir)) {
+            return [];
+        }
+
+        // Entries trashed before the index existed are shown as coming from the root
+        const index = this.readTrashIndex();
+        let files = fs.readdirSync(this.trashDir)
+            .filter(entry => !entry.startsWith('.'))
+            .map(entry => {
+                const absolute = path.join(this.trashDir, entry);
+                const origin = index[entry] || {
+                    name: entry.replace(/^\d+-/, ''),
+                    parentId: 'root',
+                    trashedTime: new Date(parseInt(entry, 10) || fs.statSync(absolute).mtimeMs).toISOString()
+                };
+                return {
+                    ...this.describe(absolute, fs.statSync(absolute)),
+                    id: `trash:${entry}`,
+                    name: origin.name,
+                    parents: [origin.parentId],
+                    trashedTime: origin.trashedTime
+                };
+            });
+
+        if (options.name) {
+            files = this.pickMatches(files, options.name);
+        }
+        return this.sortByTrashedTime(files);
+    }
+
+    async restoreFile(fileId) {
+        const entry = String(fileId).startsWith('trash:') ? String(fileId).substring(6) : '';
+        const source = path.join(this.trashDir, entry);
+        if (!entry || entry.startsWith('.') || /[\\/]/.test(entry) || !fs.existsSync(source)) {
+            throw new Error(`'${fileId}' is not in the trash`);
+        }
+
+        const index = this.readTrashIndex();
+        const origin = index[entry] || { name: entry.replace(/^\d+-/, ''), parentId: 'root' };
+        let folder;
+        try {
+            folder = this.toPath(origin.parentId);
+        } catch (error) {
+            folder = null;
+        }
+        if (!folder || !fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+            throw new Error(`The folder that held '${origin.name}' no longer exists`);
+        }
+
+        const target = path.join(folder, origin.name);
+        if (fs.existsSync(target)) {
+            throw new Error(`'${origin.name}' already exists in the folder it was trashed from`);
+        }
+
+        fs.renameSync(source, target);
+        delete index[entry];
+        this.writeTrashIndex(index);
+        return this.describe(target, fs.statSync(target));
+    }
+
+    async deleteFile(fileId) {
+        this.stat(fileId);
+        fs.rmSync(this.toPath(fileId), { recursive: true });
+    }
+
+    async download(fileId) {
+        if (this.stat(fileId).isDirectory()) {
+            throw new Error(`'${fileId}' is a folder`);
+        }
+        return fs.readFileSync(this.toPath(fileId));
+    }
+}
+
+/**
+ * Files kept in process memory, seeded from fixtures. Nothing is written anywhere, which
+ * makes it handy for trying commands and for tests.
+ */
+class MemoryBackend extends StorageBackend {
+    /**
+     * @param {Object} options.fixtures - { '/a/b.txt': 'content', '/empty folder/': null }
+     */
+    constructor(options = {}) {
+        super();
+        this.items = new Map();
+        this.nextId = 1;
+        this.items.set('root', { id: 'root', name: '/', mimeType: FOLDER_MIME_TYPE, parents: [], modifiedTime: new Date().toISOString() });
+        this.seed(options.fixtures || DEFAULT_FIXTURES);
+    }
+
+    /**
+     * Read fixtures from a JSON file, or use the built-in ones when no file is given
+     */
+    static loadFixtures(file) {
+        if (!file) {
+            return DEFAULT_FIXTURES;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`Failed to read storage fixtures ${file}:`, error.message);
+            return DEFAULT_FIXTURES;
+        }
+    }
+
+    get name() {
+        return 'memory';
+    }
+
+    /**
+     * Create the folders and files a fixture map describes. Paths ending in / are folders.
+     */
+    seed(fixtures) {
+        Object.entries(fixtures).forEach(([fixturePath, content]) => {
+            const segments = fixturePath.split('/').filter(Boolean);
+            const isFolder = fixturePath.endsWith('/') || content === null;
+            let parentId = 'root';
+
+            segments.forEach((segment, index) => {
+                const isLast = index === segments.length - 1;
+                const existing = this.children(parentId).find(item => item.name === segment);
+                if (existing) {
+                    parentId = existing.id;
+                } else if (isLast && !isFolder) {
+                    const mimeType = MIME_TYPES[path.extname(segment).toLowerCase()] || 'text/plain';
+                    this.add({ name: segment, mimeType, parents: [parentId] }, Buffer.from(String(content)));
+                } else {
+                    parentId = this.add({ name: segment, mimeType: FOLDER_MIME_TYPE, parents: [parentId] }).id;
+                }
+            });
+        });
+    }
+
+    /**
+     * Store a new item and return it
+     */
+    add(metadata, content = null) {
+        const item = { id: `mem-${this.nextId++}`, ...metadata, modifiedTime: new Date().toISOString(), trashed: false };
+        if (content) {
+            item.content = content;
+            item.size = String(content.length);
+            item.md5Checksum = crypto.createHash('md5').update(content).digest('hex');
+        }
+        this.items.set(item.id, item);
+        return item;
+    }
+
+    /**
+     * Items directly inside a folder, trashed ones included
+     */
+    children(folderId) {
+        return [...this.items.values()].filter(item => item.parents[0] === folderId);
+    }
+
+    /**
+     * The stored item, or a not-found error
+     */
+    lookup(fileId) {
+        const item = this.items.get(fileId);
+        if (!item) {
+            throw new Error(`File '${fileId}' not found`);
+        }
+        return item;
+    }
+
+    /**
+     * A copy of an item's metadata, without its content or trash flag
+     */
+    describe(item) {
+        const { content, trashed, ...file } = item;
+        return { ...file, parents: [...file.parents] };
+    }
+
+    async getFile(fileId) {
+        return this.describe(this.lookup(fileId));
+    }
+
+    async listFolder(folderId) {
+        if (this.lookup(folderId).mimeType !== FOLDER_MIME_TYPE) {
+            throw new Error(`'${folderId}' is not a folder`);
+        }
+        return this.sortByName(this.children(folderId).filter(item => !this.isTrashed(item)).map(item => this.describe(item)));
+    }
+
+    async findByName(name, options = {}) {
+        const candidates = [...this.items.values()].filter(item => item.id !== 'root'
+            && !this.isTrashed(item)
+            && (!options.parentId || item.parents[0] === options.parentId)
+            && (!options.folderOnly || item.mimeType === FOLDER_MIME_TYPE));
+        return this.pickMatches(candidates, name).map(item => this.describe(item));
+    }
+
+    /**
+     * Whether an item or one of its folders is in the trash
+     */
+    isTrashed(item) {
+        for (let current = item; current && current.id !== 'root'; current = this.items.get(current.parents[0])) {
+            if (current.trashed) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async createFolder(name, parentId) {
+        this.lookup(parentId);
+        return this.describe(this.add({ name, mimeType: FOLDER_MIME_TYPE, parents: [parentId] }));
+    }
+
+    async createFile(name, parentId, buffer, mimeType) {
+        this.lookup(parentId);
+        return this.describe(this.add({ name, mimeType: mimeType || 'application/octet-stream', parents: [parentId] }, Buffer.from(buffer)));
+    }
+
+    async moveFile(fileId, folderId) {
+        const item = this.lookup(fileId);
+        if (this.lookup(folderId).mimeType !== FOLDER_MIME_TYPE) {
+            throw new Error(`'${folderId}' is not a folder`);
+        }
+        for (let current = this.items.get(folderId); current; current = this.items.get(current.parents[0])) {
+            if (current.id === fileId) {
+                throw new Error(`Can't move '${item.name}' into itself`);
+            }
+        }
+        if (this.children(folderId).some(child => child.id !== fileId && child.name === item.name && !this.isTrashed(child))) {
+            throw new Error(`'${item.name}' already exists in the destination folder`);
+        }
+
+        item.parents = [folderId];
+        item.modifiedTime = new Date().toISOString();
+        return this.describe(item);
+    }
+
+    async trashFile(fileId) {
+        const item = this.lookup(fileId);
+        item.trashed = true;
+        item.trashedTime = new Date().toISOString();
+    }
+
+    async listTrash(options = {}) {
+        let files = [...this.items.values()].filter(item => item.trashed);
+        if (options.name) {
+            files = this.pickMatches(files, options.name);
+        }
+        return this.sortByTrashedTime(files.map(item => this.describe(item)));
+    }
+
+    async restoreFile(fileId) {
+        const item = this.lookup(fileId);
+        if (!item.trashed) {
+            throw new Error(`'${item.name}' is not in the trash`);
+        }
+        if (this.children(item.parents[0]).some(child => child.id !== fileId && child.name === item.name && !this.isTrashed(child))) {
+            throw new Error(`'${item.name}' already exists in the folder it was trashed from`);
+        }
+
+        item.trashed = false;
+        delete item.trashedTime;
+        return this.describe(item);
+    }
+
+    async deleteFile(fileId) {
+        this.lookup(fileId);
+        this.remove(fileId);
+    }
+
+    /**
+     * Drop an item and everything inside it
+     */
+    remove(fileId) {
+        this.children(fileId).forEach(child => this.remove(child.id));
+        this.items.delete(fileId);
+    }
+
+    async download(fileId) {
+        const item = this.lookup(fileId);
+        if (item.mimeType === FOLDER_MIME_TYPE) {
+            throw new Error(`'${item.name}' is a folder`);
+        }
+        return Buffer.from(item.content || '');
+    }
+}
+
+StorageBackend.FOLDER_MIME_TYPE = FOLDER_MIME_TYPE;
+StorageBackend.DEFAULT_FIXTURES = DEFAULT_FIXTURES;
+StorageBackend.GoogleDriveBackend = GoogleDriveBackend;
+StorageBackend.LocalFileBackend = LocalFileBackend;
+StorageBackend.MemoryBackend = MemoryBackend;
+
+module.exports = StorageBackend;
@@ -0,0 +1,187 @@
+/**
+ * Summarizer Helper
+ * Map-reduce summarization: long documents are split into chunks, each chunk is
+ * summarized, and the partial summaries are combined into one final summary.
+ */
+
+// Rough characters-per-token ratio used to turn token budgets into chunk sizes
+const CHARS_PER_TOKEN = 4;
+
+// Bump when the prompts change so cached summaries made with the old ones are not reused
+const PROMPT_VERSION = 1;
+
+class Summarizer {
+    /**
+     * @param {Function} generate - async (prompt, options) => text returned by the model
+     */
+    constructor(generate, options = {}) {
+        this.generate = generate;
+        this.chunkTokens = options.chunkTokens || parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 3000;
+        this.maxChunks = options.maxChunks || parseInt(process.env.SUMMARY_MAX_CHUNKS, 10) || 8;
+        this.summaryTokens = options.summaryTokens || parseInt(process.env.SUMMARY_OUTPUT_TOKENS, 10) || 400;
+    }
+
+    /**
+     * Identify the prompts and budgets in use, so cached summaries can tell which settings made them
+     */
+    getVariant() {
+        return `v${PROMPT_VERSION}-${this.chunkTokens}x${this.maxChunks}-${this.summaryTokens}`;
+    }
+
+    /**
+     * Split text into chunks under the token budget, preferring paragraph and sentence boundaries
+     */
+    splitIntoChunks(text) {
+        const maxChars = this.chunkTokens * CHARS_PER_TOKEN;
+        const chunks = [];
+        let current = '';
+
+        const pushCurrent = () => {
+            if (current.trim()) {
+                chunks.push(current.trim());
+            }
+            current = '';
+        };
+
+        for (const paragraph of text.split(/\n\s*\n/)) {
+            if (current.length + paragraph.length + 2 <= maxChars) {
+                current += (current ? '\n\n' : '') + paragraph;
+                continue;
+            }
+
+            pushCurrent();
+
+            if (paragraph.length <= maxChars) {
+                current = paragraph;
+                continue;
+            }
+
+            // A single paragraph larger than a chunk is cut at sentence ends, then hard-cut
+            for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+                if (current.length + sentence.length + 1 > maxChars) {
+                    pushCurrent();
+                }
+                if (sentence.length > maxChars) {
+                    for (let i = 0; i < sentence.length; i += maxChars) {
+                        chunks.push(sentence.substring(i, i + maxChars));
+                    }
+                    continue;
+                }
+                current += (current ? ' ' : '') + sentence;
+            }
+        }
+
+        pushCurrent();
+        return chunks;
+    }
+
+    /**
+     * Prompt for summarizing a whole document in one go
+     */
+    buildDocumentPrompt(fileName, content) {
+        return `Please provide a concise summary of the following document content. Focus on key points, main topics, and important information. Keep the summary under 200 words.
+
+Document Name: ${fileName}
+
+Content:
+${content}`;
+    }
+
+    /**
+     * Prompt for summarizing one chunk of a longer document
+     */
+    buildChunkPrompt(fileName, content, index, total) {
+        return `You are summarizing part ${index + 1} of ${total} of a longer document. List the key points, facts, figures and decisions in this part. Keep it under 150 words and do not add an introduction.
+
+Document Name: ${fileName}
+
+Part ${index + 1}:
+${content}`;
+    }
+
+    /**
+     * Prompt for combining partial summaries into the final one
+     */
+    buildCombinePrompt(fileName, partials) {
+        const parts = partials.map((partial, index) => `Part ${index + 1}:\n${partial}`).join('\n\n');
+        return `Below are summaries of consecutive parts of one document. Combine them into a single concise summary of the whole document. Focus on key points, main topics, and important information. Keep the summary under 200 words.
+
+Document Name: ${fileName}
+
+${parts}`;
+    }
+
+    /**
+     * Combine partial summaries, reducing in groups if they exceed one chunk
+     */
+    async combine(fileName, partials) {
+        const maxChars = this.chunkTokens * CHARS_PER_TOKEN;
+        let level = partials;
+
+        while (level.join('\n\n').length > maxChars && level.length > 1) {
+            const groups = [];
+            let group = [];
+            let groupLength = 0;
+
+            for (const partial of level) {
+                if (group.length > 0 && groupLength + partial.length > maxChars) {
+                    groups.push(group);
+                    group = [];
+                    groupLength = 0;
+                }
+                group.push(partial);
+                groupLength += partial.length;
+            }
+            groups.push(group);
+
+            // Stop if grouping can't shrink the list any further
+            if (groups.length === level.length) {
+                break;
+            }
+
+            level = await Promise.all(groups.map(items => this.generate(this.buildCombinePrompt(fileName, items), {
+                maxTokens: this.summaryTokens
+            })));
+        }
+
+        return this.generate(this.buildCombinePrompt(fileName, level), { maxTokens: this.summaryTokens });
+    }
+
+    /**
+     * Summarize a document of any length.
+     * Returns { summary, chunksUsed, totalChunks, partial }, with failed set when no summary came back.
+     */
+    async summarize(content, fileName) {
+        const chunks = this.splitIntoChunks(content);
+        const used = chunks.slice(0, this.maxChunks);
+        const partial = chunks.length > used.length;
+
+        if (used.length <= 1) {
+            const summary = await this.generate(this.buildDocumentPrompt(fileName, used[0] || ''), {
+                maxTokens: this.summaryTokens
+            });
+            return { summary: summary || 'Unable to generate summary', chunksUsed: used.length, totalChunks: chunks.length, partial, failed: !summary };
+        }
+
+        // Map: summarize each chunk on its own
+        const partials = [];
+        for (let i = 0; i < used.length; i++) {
+            const chunkSummary = await this.generate(this.buildChunkPrompt(fileName, used[i], i, used.length), {
+                maxTokens: this.summaryTokens
+            });
+            if (chunkSummary) {
+                partials.push(chunkSummary);
+            }
+        }
+
+        if (partials.length === 0) {
+            return { summary: 'Unable to generate summary', chunksUsed: used.length, totalChunks: chunks.length, partial, failed: true };
+        }
+
+        // Reduce: merge the partial summaries into one
+        const summary = await this.combine(fileName, partials);
+        return { summary: summary || 'Unable to generate summary', chunksUsed: used.length, totalChunks: chunks.length, partial, failed: !summary };
+    }
+}
+
+module.exports = Summarizer;
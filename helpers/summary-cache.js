@@ -0,0 +1,143 @@
+/**
+ * Summary Cache Helper
+ * Reuses summaries of files that have not changed. Entries are keyed by file ID, the file's
+ * revision (md5Checksum, or modifiedTime for Google-native files) and the prompt variant,
+ * so an edit to the file or to the summarization settings never returns a stale summary.
+ */
+
+const TokenStore = require('./token-store');
+
+/**
+ * Store kept in process memory, dropping the oldest entries past maxEntries
+ */
+class MemoryStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Store backed by one file, so cached summaries survive a restart. Summaries quote the
+ * documents, so the file is encrypted like the token store, under TOKEN_STORE_KEY.
+ */
+class FileStore extends MemoryStore {
+    constructor(options = {}) {
+        super(options);
+        this.tokenStore = new TokenStore({
+            file: options.file || './data/summary-cache.enc',
+            secret: options.secret
+        });
+        this.file = this.tokenStore.file;
+
+        Object.entries(this.tokenStore.load() || {}).forEach(([key, value]) => {
+            this.entries.set(key, value);
+        });
+    }
+
+    async set(key, value) {
+        await super.set(key, value);
+        this.save();
+    }
+
+    async delete(key) {
+        await super.delete(key);
+        this.save();
+    }
+
+    save() {
+        this.tokenStore.save(Object.fromEntries(this.entries));
+    }
+}
+
+class SummaryCache {
+    /**
+     * @param {Object} store - any object with async get(key), set(key, value) and delete(key)
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Build a store from SUMMARY_CACHE_STORE (memory, file or none) and SUMMARY_CACHE_FILE.
+     * The default is memory; file needs TOKEN_STORE_KEY, as nothing is written unencrypted.
+     */
+    static fromEnv() {
+        const type = (process.env.SUMMARY_CACHE_STORE || 'memory').toLowerCase();
+        if (type === 'none') {
+            return new SummaryCache(null);
+        }
+        if (type === 'file') {
+            if (process.env.TOKEN_STORE_KEY) {
+                return new SummaryCache(new FileStore({ file: process.env.SUMMARY_CACHE_FILE }));
+            }
+            console.error('SUMMARY_CACHE_STORE=file needs TOKEN_STORE_KEY to encrypt the cache, keeping summaries in memory');
+        }
+        return new SummaryCache(new MemoryStore());
+    }
+
+    /**
+     * Cache key for one revision of a file, or null when the revision can't be told
+     */
+    getKey(file, variant) {
+        const revision = file.md5Checksum || file.modifiedTime;
+        if (!this.store || !file.id || !revision) {
+            return null;
+        }
+        return `${file.id}:${revision}:${variant}`;
+    }
+
+    /**
+     * Look up a cached summary. Returns the stored entry or null.
+     */
+    async get(file, variant) {
+        const key = this.getKey(file, variant);
+        if (!key) {
+            return null;
+        }
+
+        try {
+            return await this.store.get(key);
+        } catch (error) {
+            console.error('Summary cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a summary for this revision of the file
+     */
+    async set(file, variant, value) {
+        const key = this.getKey(file, variant);
+        if (!key) {
+            return;
+        }
+
+        try {
+            await this.store.set(key, { ...value, cachedAt: new Date().toISOString() });
+        } catch (error) {
+            console.error('Summary cache write failed:', error);
+        }
+    }
+}
+
+SummaryCache.MemoryStore = MemoryStore;
+SummaryCache.FileStore = FileStore;
+
+module.exports = SummaryCache;
@@ -0,0 +1,285 @@
+/**
+ * Text Extractor Helper
+ * Downloads files from the storage backend and turns them into plain text according to their MIME type
+ */
+
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+const JSZip = require('jszip');
+// Require the library file directly: the package index runs a self-test when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Native Google formats must be exported rather than downloaded
+const GOOGLE_EXPORTS = {
+    'application/vnd.google-apps.document': 'text/plain',
+    'application/vnd.google-apps.spreadsheet': 'text/csv',
+    'application/vnd.google-apps.presentation': 'text/plain'
+};
+
+const OFFICE_TYPES = {
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+};
+
+const TEXT_TYPES = [
+    'application/json',
+    'application/xml',
+    'application/javascript',
+    'application/x-yaml',
+    'application/rtf'
+];
+
+const XML_ENTITIES = {
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&amp;': '&'
+};
+
+class TextExtractor {
+    /**
+     * @param {Object} storage - a StorageBackend (Google Drive, local folder or memory)
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Check whether text can be extracted from a MIME type
+     */
+    isSupported(mimeType) {
+        if (!mimeType) {
+            return false;
+        }
+
+        return !!GOOGLE_EXPORTS[mimeType] ||
+            !!OFFICE_TYPES[mimeType] ||
+            mimeType === 'application/pdf' ||
+            mimeType.startsWith('text/') ||
+            TEXT_TYPES.includes(mimeType);
+    }
+
+    /**
+     * Describe the supported formats for error messages
+     */
+    describeSupported() {
+        return 'Google Docs/Sheets/Slides, PDF, Word (.docx), Excel (.xlsx), PowerPoint (.pptx) and text files';
+    }
+
+    /**
+     * Download a file's raw bytes
+     */
+    async download(fileId) {
+        return this.storage.download(fileId);
+    }
+
+    /**
+     * Export a native Google file to another format
+     */
+    async exportFile(fileId, mimeType) {
+        return this.storage.exportFile(fileId, mimeType);
+    }
+
+    /**
+     * Extract the text of a Drive file.
+     * Returns { text } or { error } (with unsupported: true for unknown types).
+     */
+    async extract(file) {
+        const mimeType = file.mimeType || '';
+
+        if (!this.isSupported(mimeType)) {
+            return {
+                error: `'${file.name}' has type ${mimeType || 'unknown'}, which can't be read. Supported: ${this.describeSupported()}.`,
+                unsupported: true
+            };
+        }
+
+        try {
+            let text;
+
+            if (GOOGLE_EXPORTS[mimeType]) {
+                text = this.decodeText(await this.exportFile(file.id, GOOGLE_EXPORTS[mimeType]));
+            } else if (mimeType === 'application/pdf') {
+                text = await this.extractPdf(await this.download(file.id));
+            } else if (OFFICE_TYPES[mimeType]) {
+                text = await this.extractOffice(await this.download(file.id), OFFICE_TYPES[mimeType]);
+            } else {
+                text = this.decodeText(await this.download(file.id));
+            }
+
+            text = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+            if (!text) {
+                return { error: `No text could be extracted from '${file.name}' (it may be a scanned image)` };
+            }
+
+            return { text };
+        } catch (error) {
+            console.error(`Error extracting text from ${file.name}:`, error);
+            return { error: `Unable to read '${file.name}': ${error.message}` };
+        }
+    }
+
+    /**
+     * Decode text bytes, detecting the charset when there is no BOM
+     */
+    decodeText(buffer) {
+        if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+            return buffer.subarray(3).toString('utf-8');
+        }
+
+        const detected = chardet.detect(buffer);
+        const encoding = detected && iconv.encodingExists(detected) ? detected : 'utf-8';
+        return iconv.decode(buffer, encoding);
+    }
+
+    /**
+     * Extract the text layer of a PDF
+     */
+    async extractPdf(buffer) {
+        const result = await pdfParse(buffer);
+        return result.text || '';
+    }
+
+    /**
+     * Extract text from an Office Open XML document (docx, xlsx or pptx)
+     */
+    async extractOffice(buffer, kind) {
+        const zip = await JSZip.loadAsync(buffer);
+
+        switch (kind) {
+            case 'docx':
+                return this.extractDocx(zip);
+            case 'xlsx':
+                return this.extractXlsx(zip);
+            case 'pptx':
+                return this.extractPptx(zip);
+            default:
+                throw new Error(`Unknown Office format '${kind}'`);
+        }
+    }
+
+    /**
+     * Replace the XML entities Office writes into text runs
+     */
+    decodeXml(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&(lt|gt|quot|apos|amp);/g, match => XML_ENTITIES[match]);
+    }
+
+    /**
+     * Collect the text runs of each paragraph in a WordprocessingML or DrawingML part
+     */
+    extractParagraphs(xml, paragraphTag, textTag) {
+        const paragraphPattern = new RegExp(`<${paragraphTag}[\\s>][\\s\\S]*?</${paragraphTag}>`, 'g');
+        const textPattern = new RegExp(`<${textTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${textTag}>|<w:tab/>|<w:br/>`, 'g');
+
+        return (xml.match(paragraphPattern) || []).map(paragraph => {
+            let line = '';
+            let match;
+            while ((match = textPattern.exec(paragraph)) !== null) {
+                if (match[0] === '<w:tab/>') {
+                    line += '\t';
+                } else if (match[0] === '<w:br/>') {
+                    line += '\n';
+                } else {
+                    line += this.decodeXml(match[1]);
+                }
+            }
+            return line;
+        });
+    }
+
+    /**
+     * Sort numbered zip entries such as slide2.xml before slide10.xml
+     */
+    sortNumbered(names) {
+        const number = name => parseInt((name.match(/(\d+)\.xml$/) || [])[1] || '0', 10);
+        return names.sort((a, b) => number(a) - number(b));
+    }
+
+    /**
+     * Extract a Word document's body text
+     */
+    async extractDocx(zip) {
+        const document = zip.file('word/document.xml');
+        if (!document) {
+            throw new Error('Not a valid Word document');
+        }
+
+        return this.extractParagraphs(await document.async('string'), 'w:p', 'w:t').join('\n');
+    }
+
+    /**
+     * Extract every sheet of a workbook as tab-separated rows
+     */
+    async extractXlsx(zip) {
+        const sharedStringsFile = zip.file('xl/sharedStrings.xml');
+        const sharedStrings = [];
+
+        if (sharedStringsFile) {
+            const xml = await sharedStringsFile.async('string');
+            (xml.match(/<si>[\s\S]*?<\/si>/g) || []).forEach(item => {
+                const parts = item.match(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g) || [];
+                sharedStrings.push(parts.map(part => this.decodeXml(part.replace(/<[^>]+>/g, ''))).join(''));
+            });
+        }
+
+        const workbookFile = zip.file('xl/workbook.xml');
+        const sheetNames = workbookFile
+            ? ((await workbookFile.async('string')).match(/<sheet\s[^>]*name="([^"]*)"/g) || [])
+                .map(tag => this.decodeXml(tag.match(/name="([^"]*)"/)[1]))
+            : [];
+
+        const sheetFiles = this.sortNumbered(Object.keys(zip.files).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name)));
+        const sections = [];
+
+        for (let i = 0; i < sheetFiles.length; i++) {
+            const xml = await zip.file(sheetFiles[i]).async('string');
+            const rows = (xml.match(/<row[\s>][\s\S]*?<\/row>/g) || []).map(row => {
+                const cells = row.match(/<c\s[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [];
+                return cells.map(cell => {
+                    const type = (cell.match(/\st="([^"]*)"/) || [])[1];
+                    const inline = cell.match(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/);
+                    const value = (cell.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+                    if (type === 's' && value !== undefined) {
+                        return sharedStrings[parseInt(value, 10)] || '';
+                    }
+                    if (inline) {
+                        return this.decodeXml(inline[1]);
+                    }
+                    return value !== undefined ? this.decodeXml(value) : '';
+                }).join('\t');
+            });
+
+            sections.push(`## ${sheetNames[i] || `Sheet ${i + 1}`}\n${rows.join('\n')}`);
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Extract the text of every slide in order
+     */
+    async extractPptx(zip) {
+        const slideFiles = this.sortNumbered(Object.keys(zip.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)));
+        const slides = [];
+
+        for (let i = 0; i < slideFiles.length; i++) {
+            const xml = await zip.file(slideFiles[i]).async('string');
+            const lines = this.extractParagraphs(xml, 'a:p', 'a:t').filter(line => line.trim());
+            slides.push(`## Slide ${i + 1}\n${lines.join('\n')}`);
+        }
+
+        return slides.join('\n\n');
+    }
+}
+
+TextExtractor.GOOGLE_EXPORTS = GOOGLE_EXPORTS;
+TextExtractor.OFFICE_TYPES = OFFICE_TYPES;
+
+module.exports = TextExtractor;
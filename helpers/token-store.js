@@ -0,0 +1,107 @@
+/**
+ * Token Store Helper
+ * Keeps Google OAuth tokens in a file encrypted with AES-256-GCM, using a key derived from
+ * TOKEN_STORE_KEY. New tokens are merged into the stored ones, so a refresh that only
+ * returns an access token keeps the existing refresh token.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class TokenStore {
+    constructor(options = {}) {
+        this.file = options.file || process.env.TOKEN_STORE_FILE || './data/google-tokens.enc';
+        this.secret = options.secret || process.env.TOKEN_STORE_KEY || null;
+        this.enabled = !!this.secret;
+    }
+
+    /**
+     * Derive the encryption key from the secret and a per-file salt
+     */
+    deriveKey(salt) {
+        return crypto.scryptSync(this.secret, salt, 32);
+    }
+
+    /**
+     * Read and decrypt the stored tokens. Returns null when there are none or they can't be read.
+     */
+    load() {
+        if (!this.enabled || !fs.existsSync(this.file)) {
+            return null;
+        }
+
+        try {
+            const envelope = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            const decipher = crypto.createDecipheriv(
+                'aes-256-gcm',
+                this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+                Buffer.from(envelope.iv, 'base64')
+            );
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+            return JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            // A wrong TOKEN_STORE_KEY ends up here too, as the auth tag won't match
+            console.error(`Failed to read token store ${this.file}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Encrypt tokens and write them to disk, replacing what was stored
+     */
+    save(tokens) {
+        if (!this.enabled) {
+            return false;
+        }
+
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+        const envelope = {
+            version: 1,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+            return true;
+        } catch (error) {
+            console.error(`Failed to save token store ${this.file}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Merge new tokens into the stored ones, ignoring empty fields. Returns the merged tokens.
+     */
+    update(tokens) {
+        const merged = { ...(this.load() || {}) };
+        Object.entries(tokens || {}).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                merged[key] = value;
+            }
+        });
+        merged.updatedAt = new Date().toISOString();
+
+        this.save(merged);
+        return merged;
+    }
+
+    /**
+     * Whether an error from Google means the refresh token has expired or been revoked
+     */
+    static isRevokedError(error) {
+        const data = error && error.response && error.response.data;
+        const code = data && (typeof data.error === 'string' ? data.error : null);
+        return code === 'invalid_grant' || /invalid_grant/.test(String(error && error.message));
+    }
+}
+
+module.exports = TokenStore;
@@ -1,10 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const axios = require('axios');
 const { google } = require('googleapis');
-const twilio = require('twilio');
 const AuditLogger = require('./helpers/audit-logger');
+const AccessControl = require('./helpers/access-control');
+const PendingActions = require('./helpers/pending-actions');
+const DrivePathResolver = require('./helpers/drive-path-resolver');
+const CommandParser = require('./helpers/command-parser');
+const IntentClassifier = require('./helpers/intent-classifier');
+const TextExtractor = require('./helpers/text-extractor');
+const Summarizer = require('./helpers/summarizer');
+const DocumentQA = require('./helpers/document-qa');
+const MediaSaver = require('./helpers/media-saver');
+const DownloadLinks = require('./helpers/download-links');
+const BulkOperations = require('./helpers/bulk-operations');
+const JobQueue = require('./helpers/job-queue');
+const SummaryCache = require('./helpers/summary-cache');
+const OutboundMessages = require('./helpers/outbound-messages');
+const ConversationState = require('./helpers/conversation-state');
+const TokenStore = require('./helpers/token-store');
+const DriveAccounts = require('./helpers/drive-accounts');
+const LLMProvider = require('./helpers/llm-provider');
+const ChannelAdapter = require('./helpers/channel-adapters');
+const StorageBackend = require('./helpers/storage-backend');
+const PhoneNumber = require('./helpers/phone-number');
 
 // Load environment variables
 dotenv.config();
@@ -15,145 +35,442 @@ const port = process.env.PORT || 5000;
 // Initialize audit logger
 const logger = new AuditLogger();
 
+// Initialize per-number access control
+const accessControl = new AccessControl();
+
+// Destructive actions waiting for CONFIRM <code>
+const pendingActions = new PendingActions({
+  onExpire: (action) => {
+    if (action.type === 'CHOOSE') {
+      return;
+    }
+    logger.logSecurityEvent('pending_action_expired', {
+      fromNumber: action.fromNumber,
+      type: action.type,
+      details: action.details
+    }, null);
+  }
+});
+
+// Each sender's working folder and last listing, for CD and numbered references
+const conversationState = new ConversationState();
+if (!accessControl.enabled) {
+  console.log(`⚠️  No access control config found at ${accessControl.configFile} - every sender has admin rights`);
+}
+
+// Messaging channel (Twilio, Meta WhatsApp Cloud API or the local console), chosen with CHANNEL
+const channel = ChannelAdapter.fromEnv();
+console.log(`💬 Messaging channel: ${channel.name}`);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Meta signs the exact request bytes, so keep them alongside the parsed JSON
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
-// Google Drive and OAuth2 setup - will be dynamically configured
-let oauth2Client;
+// Google OAuth tokens, encrypted on disk and kept current as the client refreshes them
+const tokenStore = new TokenStore();
+if (!tokenStore.enabled) {
+  console.log('⚠️  TOKEN_STORE_KEY is not set - Google tokens will not be saved between restarts');
+}
 
-// Initialize OAuth2 client with dynamic redirect URI
-function initializeOAuth2Client(req) {
-  const protocol = req.secure || req.get('x-forwarded-proto') === 'https' ? 'https' : 'http';
-  const host = req.get('host');
-  const redirectUri = `${protocol}://${host}/auth/callback`;
-  
-  oauth2Client = new google.auth.OAuth2(
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/drive',
+  'https://www.googleapis.com/auth/drive.file'
+];
+
+// OAuth2 client with this app's credentials. Clients that only refresh tokens never use the redirect URI.
+function createOAuth2Client(redirectUri = 'https://placeholder.com/auth/callback') {
+  return new google.auth.OAuth2(
     process.env.GOOGLE_OAUTH_CLIENT_ID,
     process.env.GOOGLE_OAUTH_CLIENT_SECRET,
     redirectUri
   );
-  
-  // Set credentials if available
-  if (process.env.GOOGLE_OAUTH_ACCESS_TOKEN && process.env.GOOGLE_OAUTH_REFRESH_TOKEN) {
-    oauth2Client.setCredentials({
-      access_token: process.env.GOOGLE_OAUTH_ACCESS_TOKEN,
-      refresh_token: process.env.GOOGLE_OAUTH_REFRESH_TOKEN
-    });
+}
+
+// Public address of this server: PUBLIC_BASE_URL, or the one a request was sent to
+function getPublicBaseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
   }
-  
-  return oauth2Client;
+  return new URL(getWebhookUrl(req)).origin;
+}
+
+// The OAuth redirect URI. LINK and the /auth routes both build it here, so Google sees the same one.
+function getOAuthRedirectUri(baseUrl) {
+  return `${baseUrl}/auth/callback`;
+}
+
+// OAuth2 client for the /auth routes, redirecting back to the address the request came in on
+function initializeOAuth2Client(req) {
+  return createOAuth2Client(getOAuthRedirectUri(getPublicBaseUrl(req)));
 }
 
-// Initialize with default for non-web requests
-oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_OAUTH_CLIENT_ID,
-  process.env.GOOGLE_OAUTH_CLIENT_SECRET,
-  'https://placeholder.com/auth/callback'
-);
+// The shared account's client, used by senders who haven't linked their own account
+const oauth2Client = createOAuth2Client();
 
-// Set credentials if available
-if (process.env.GOOGLE_OAUTH_ACCESS_TOKEN && process.env.GOOGLE_OAUTH_REFRESH_TOKEN) {
+// Stored tokens win over .env, which only seeds the store the first time
+const storedTokens = tokenStore.load();
+if (storedTokens && storedTokens.refresh_token) {
+  const { updatedAt, ...credentials } = storedTokens;
+  oauth2Client.setCredentials(credentials);
+  console.log(`✅ Google OAuth credentials loaded from ${tokenStore.file}`);
+} else if (process.env.GOOGLE_OAUTH_ACCESS_TOKEN && process.env.GOOGLE_OAUTH_REFRESH_TOKEN) {
   console.log('🔐 Loading Google OAuth credentials...');
   oauth2Client.setCredentials({
     access_token: process.env.GOOGLE_OAUTH_ACCESS_TOKEN,
     refresh_token: process.env.GOOGLE_OAUTH_REFRESH_TOKEN
   });
+  tokenStore.update(oauth2Client.credentials);
   console.log('✅ Google OAuth credentials loaded successfully');
 } else {
-  console.log('⚠️  Google OAuth credentials not found in environment variables');
+  console.log('⚠️  Google OAuth credentials not found in the token store or environment variables');
+}
+
+// Set when the admins have been told the refresh token stopped working, cleared once it works again
+let authAlertSentAt = null;
+
+// How long the single-use links for authorizing the shared account again stay valid
+const reauthTtlSeconds = (parseInt(process.env.REAUTH_LINK_TTL_HOURS, 10) || 24) * 60 * 60;
+
+// Save every token the client obtains, so refreshed access tokens survive a restart
+oauth2Client.on('tokens', (tokens) => {
+  tokenStore.update(tokens);
+  authAlertSentAt = null;
+});
+
+// Local or in-memory file storage from STORAGE_BACKEND, shared by every sender.
+// When it is null, files live in each account's Google Drive.
+const fileStorage = StorageBackend.fromEnv();
+if (fileStorage) {
+  console.log(`🗄️  Storage backend: ${fileStorage.name} - commands other than LIST, CD, MOVE, DELETE, MKDIR, SAVE, RESUME, SUMMARY and ASK need Google Drive`);
+}
+
+// Drive client, storage, path lookups (with their ID cache), text extraction and media uploads for one account
+function createWorkspace(auth) {
+  const drive = google.drive({ version: 'v3', auth });
+  const storage = fileStorage || new StorageBackend.GoogleDriveBackend(drive);
+  const pathResolver = new DrivePathResolver(storage, { getPathFilter: currentPathFilter });
+  return {
+    drive,
+    storage,
+    pathResolver,
+    textExtractor: new TextExtractor(storage),
+    mediaSaver: new MediaSaver(storage, { fetchMedia: item => channel.downloadMedia(item) })
+  };
+}
+
+const sharedWorkspace = { ...createWorkspace(oauth2Client), auth: oauth2Client, number: null, linked: false };
+
+// Google accounts linked to individual numbers with LINK
+const driveAccounts = new DriveAccounts(() => createOAuth2Client(), createWorkspace);
+
+// The account the running command acts on, set per message and per background job
+const accountContext = new AsyncLocalStorage();
+
+// Run fn against a sender's linked account, or the shared account when they haven't linked one.
+// The sender comes along so every path lookup applies their folder limits.
+function withAccount(fromNumber, fn) {
+  const workspace = (fromNumber && driveAccounts.get(fromNumber)) || sharedWorkspace;
+  return accountContext.run({ ...workspace, sender: fromNumber || null }, fn);
+}
+
+// Folder limits of the sender whose command is running: a path predicate, or null for none
+function currentPathFilter() {
+  const store = accountContext.getStore();
+  return store && store.sender ? accessControl.getPathFilter(store.sender) : null;
+}
+
+// Stand-in for one of the current account's helpers, so the code below can use drive,
+// pathResolver and friends without passing the account around
+function currentAccountHelper(name) {
+  return new Proxy({}, {
+    get(target, property) {
+      const helper = (accountContext.getStore() || sharedWorkspace)[name];
+      const value = helper[property];
+      return typeof value === 'function' ? value.bind(helper) : value;
+    }
+  });
+}
+
+const drive = currentAccountHelper('drive');
+const storage = currentAccountHelper('storage');
+const pathResolver = currentAccountHelper('pathResolver');
+const textExtractor = currentAccountHelper('textExtractor');
+const mediaSaver = currentAccountHelper('mediaSaver');
+
+// Time-limited links served by /download/:token
+const downloadLinks = new DownloadLinks();
+
+// Files up to this size are sent as WhatsApp media, larger ones as a link
+const maxMediaBytes = (parseInt(process.env.GET_MEDIA_MAX_MB, 10) || 16) * 1024 * 1024;
+
+// Send a WhatsApp reply, optionally with one media attachment
+async function sendWhatsAppMessage(to, body, mediaUrl, options) {
+  return outboundMessages.send(to, body, mediaUrl, options);
+}
+
+// Tell the admins once that Google access is broken, with a link to authorize again
+// Alerts are sent again once the links in the last one have expired.
+async function reportRevokedTokens(error) {
+  if (authAlertSentAt && Date.now() - authAlertSentAt < reauthTtlSeconds * 1000) {
+    return;
+  }
+  authAlertSentAt = Date.now();
+  logger.logSecurityEvent('google_token_revoked', { error: error.message }, null);
+
+  const recipients = process.env.ADMIN_WHATSAPP_NUMBER
+    ? [process.env.ADMIN_WHATSAPP_NUMBER]
+    : accessControl.getNumbersWithRole('admin');
+  if (recipients.length === 0) {
+    console.error('⚠️  Google refresh token revoked and no admin number to alert. Set ADMIN_WHATSAPP_NUMBER.');
+  }
+
+  for (const number of recipients) {
+    // A link only works from a phone when the server knows its public address
+    let reauth = '🔐 Run node helpers/google-auth-setup.js on the server to authorize again.';
+    if (driveAccounts.enabled && process.env.PUBLIC_BASE_URL) {
+      reauth = `🔐 Authorize again at ${createReauthUrl(number)} (single use, valid for ${reauthTtlSeconds / 3600} hours)`;
+    } else if (driveAccounts.enabled) {
+      reauth = '🔐 Run node helpers/google-auth-setup.js on the server to authorize again. Set PUBLIC_BASE_URL to get a link to authorize from your phone instead.';
+    }
+    const body = `⚠️ Google Drive access has stopped: the saved refresh token has expired or been revoked.
+
+${reauth}`;
+
+    try {
+      await sendWhatsAppMessage(PhoneNumber.toAddress(number), body);
+    } catch (sendError) {
+      console.error('Error sending token alert:', sendError);
+      logger.logError(sendError, 'token_alert', null);
+    }
+  }
+}
+
+// A signed, single-use /auth/start link for authorizing the shared account, issued to one admin.
+// Relative unless PUBLIC_BASE_URL is set.
+function createReauthUrl(number) {
+  const base = process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : '';
+  const state = driveAccounts.createState(number, 'reauth', reauthTtlSeconds);
+  return `${base}/auth/start?state=${encodeURIComponent(state)}`;
+}
+
+// Refresh the access token if it is due, alerting the admins when the refresh token is rejected
+async function checkGoogleAuth() {
+  if (!oauth2Client.credentials.refresh_token) {
+    return { ok: false, error: 'No Google credentials configured' };
+  }
+
+  try {
+    await oauth2Client.getAccessToken();
+    return { ok: true };
+  } catch (error) {
+    if (TokenStore.isRevokedError(error)) {
+      await reportRevokedTokens(error);
+      return { ok: false, revoked: true, error: error.message };
+    }
+    console.error('Google token check failed:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+// Wildcard MOVE and DELETE run through resumable bulk jobs, one handler per operation
+const bulkOperations = new BulkOperations(storage, {
+  move: async (item, job) => {
+    await storage.moveFile(item.id, job.target.id);
+    pathResolver.invalidate();
+  },
+  trash: async (item) => {
+    const result = await trashFile(item.id, item.name);
+    if (result.error) throw new Error(result.error);
+  },
+  delete: async (item) => {
+    const result = await deleteFile(item.id, item.name);
+    if (result.error) throw new Error(result.error);
+  }
+}, {
+  onItemDone: (job, item) => logger.logDriveOperation(job.operation, {
+    bulkJobId: job.id,
+    fileId: item.id,
+    fileName: item.name,
+    destinationId: job.target.id,
+    success: item.status === 'done',
+    error: item.error
+  })
+});
+
+// Slow commands run here in the background; the sender hears back when each job finishes
+const jobQueue = new JobQueue({
+  summary: (payload, context) => withAccount(context.fromNumber, async () => {
+    const result = await summarizeContent(payload.parsedCommand.folderPath, {
+      ...context,
+      fresh: payload.parsedCommand.fresh
+    });
+    auditDenied(result, 'SUMMARY', { fromNumber: payload.replyTo, sessionId: payload.sessionId });
+    if (result.summaries && result.summaries.length > 0) {
+      result.summaries.forEach(item => logger.logAISummarization(
+        { id: item.fileId, name: item.fileName, mimeType: item.mimeType },
+        item.summary,
+        payload.sessionId,
+        { cacheHit: item.cached }
+      ));
+    } else {
+      logger.logAISummarization({ name: 'folder', mimeType: 'folder' }, 'error', payload.sessionId);
+    }
+    return result;
+  }),
+  bulk: (payload, context) => withAccount(context.fromNumber, async () => {
+    const result = await runBulkJob(payload.bulkJobId, context);
+    logger.logDriveOperation(`bulk_${result.operation || 'unknown'}`, {
+      fromNumber: payload.replyTo,
+      bulkJobId: payload.bulkJobId,
+      succeeded: (result.succeeded || []).length,
+      failed: (result.failed || []).length,
+      cancelled: result.cancelled
+    }, payload.sessionId);
+    return result;
+  })
+}, {
+  onProgress: async (job) => {
+    try {
+      await sendWhatsAppMessage(job.payload.replyTo, `⏳ Job ${job.id} (${job.label}): ${job.progress.done}/${job.progress.total} done`, undefined, { keepHeld: true });
+    } catch (error) {
+      console.error('Error sending job progress:', error);
+    }
+  },
+  onComplete: async (job) => {
+    let message;
+    if (job.status === 'failed') {
+      message = `❌ Job ${job.id} (${job.label}) failed: ${job.error}`;
+    } else {
+      const resultText = formatWhatsAppResponse(job.payload.parsedCommand.command, job.result, job.payload.parsedCommand);
+      message = job.status === 'cancelled'
+        ? `🛑 Job ${job.id} (${job.label}) was cancelled. Finished before stopping:\n\n${resultText}`
+        : `🏁 Job ${job.id} (${job.label}) finished:\n\n${resultText}`;
+    }
+
+    try {
+      await sendWhatsAppMessage(job.payload.replyTo, message);
+    } catch (error) {
+      console.error('Error sending job result:', error);
+      logger.logError(error, 'whatsapp_send', job.payload.sessionId);
+    }
+  }
+});
+
+// Queued jobs pick up where they left off; bulk jobs that lost their queue entry need a RESUME
+const restoredJobs = [...jobQueue.jobs.values()];
+const orphanedBulkJobs = Object.keys(bulkOperations.jobs)
+  .filter(bulkJobId => !restoredJobs.some(job => job.payload.bulkJobId === bulkJobId));
+if (restoredJobs.length > 0) {
+  console.log(`⏳ Restarting ${restoredJobs.length} queued job(s)`);
+}
+if (orphanedBulkJobs.length > 0) {
+  console.warn(`⚠️  ${orphanedBulkJobs.length} bulk operation(s) were interrupted; senders can finish them with RESUME`);
+}
+
+// How many matching names a bulk preview shows
+const bulkPreviewCount = parseInt(process.env.BULK_PREVIEW_COUNT, 10) || 10;
+
+// Native Google formats are exported to PDF before sending
+const PDF_EXPORTABLE = [
+  'application/vnd.google-apps.document',
+  'application/vnd.google-apps.spreadsheet',
+  'application/vnd.google-apps.presentation',
+  'application/vnd.google-apps.drawing'
+];
+
+// All replies go out through here so long ones are split into parts or held for MORE
+const outboundMessages = new OutboundMessages((to, body, mediaUrl) => channel.send(to, body, mediaUrl));
+
+// Signature validation can be turned off for local test harnesses that post
+// unsigned requests. Never enable this on a publicly reachable deployment.
+if (channel.name === 'twilio' && channel.skipSignature) {
+  console.log('⚠️  Twilio signature validation is DISABLED (TWILIO_SKIP_SIGNATURE_VALIDATION=true)');
+}
+
+// Rebuild the public URL the provider signed, honouring reverse proxy headers
+function getWebhookUrl(req) {
+  if (process.env.TWILIO_WEBHOOK_URL) {
+    return process.env.TWILIO_WEBHOOK_URL;
+  }
+
+  const forwardedProto = req.get('x-forwarded-proto');
+  const forwardedHost = req.get('x-forwarded-host');
+  const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : req.protocol;
+  const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('host');
+
+  return `${protocol}://${host}${req.originalUrl}`;
 }
 
-const drive = google.drive({ version: 'v3', auth: oauth2Client });
+// Reject webhook calls that were not signed by the channel's provider
+function verifyChannelSignature(req, res, next) {
+  const url = getWebhookUrl(req);
+  const rejection = channel.verifyRequest(req, { url });
+  if (!rejection) {
+    return next();
+  }
+
+  // Unverified, but the claimed sender helps when reading the log
+  const [message] = channel.parseInbound(req);
+  logger.logSecurityEvent(rejection.event, {
+    url,
+    channel: channel.name,
+    fromNumber: message ? message.fromNumber : undefined,
+    messageId: message ? message.messageId : undefined,
+    ip: req.ip
+  }, null);
+  res.status(rejection.status).json({ status: 'error', message: rejection.message });
+}
 
-// Twilio client
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+// Command parser
+const commandParser = new CommandParser();
 
-// Command parser function
 function parseCommand(messageBody) {
-  const body = messageBody.trim().toUpperCase();
-  
-  const listPattern = /^LIST\s+(.+)$/;
-  const listPagePattern = /^LIST\s+(.+?)\s+PAGE\s+(\d+)$/;
-  const deletePattern = /^DELETE\s+(.+)$/;
-  const deleteConfirmPattern = /^DELETE\s+(.+?)\s+CONFIRM$/;
-  const movePattern = /^MOVE\s+(.+?)\s+(.+)$/;
-  const summaryPattern = /^SUMMARY\s+(.+)$/;
-  const helpPattern = /^HELP$/;
-
-  if (listPagePattern.test(body)) {
-    const match = body.match(listPagePattern);
-    return { command: 'LIST', folderPath: match[1], page: parseInt(match[2]) };
-  } else if (listPattern.test(body)) {
-    const match = body.match(listPattern);
-    return { command: 'LIST', folderPath: match[1], page: 1 };
-  } else if (deleteConfirmPattern.test(body)) {
-    const match = body.match(deleteConfirmPattern);
-    return { command: 'DELETE_CONFIRM', filePath: match[1] };
-  } else if (deletePattern.test(body)) {
-    const match = body.match(deletePattern);
-    return { command: 'DELETE_REQUEST', filePath: match[1] };
-  } else if (movePattern.test(body)) {
-    const match = body.match(movePattern);
-    return { command: 'MOVE', sourcePath: match[1], destinationPath: match[2] };
-  } else if (summaryPattern.test(body)) {
-    const match = body.match(summaryPattern);
-    let path = match[1].trim();
-    // Remove leading slash if it's not a root folder reference
-    if (path.startsWith('/') && path.includes('.')) {
-      path = path.substring(1).trim();
-    }
-    return { command: 'SUMMARY', folderPath: path };
-  } else if (helpPattern.test(body)) {
-    return { command: 'HELP' };
-  } else {
-    return { command: 'UNKNOWN' };
+  return commandParser.parse(messageBody);
+}
+
+// Language model for summaries, ASK and the free-form fallback, chosen with LLM_PROVIDER
+const llmProvider = LLMProvider.fromEnv();
+if (!llmProvider.isConfigured()) {
+  console.log(`⚠️  LLM provider ${llmProvider.name} is not configured - summaries, ASK and free-form messages will fail`);
+}
+
+// Natural-language fallback for messages that are not commands
+const intentClassifier = new IntentClassifier((prompt, options) => llmProvider.generate(prompt, options), {
+  enabled: process.env.NL_FALLBACK_ENABLED !== 'false' && llmProvider.isConfigured()
+});
+
+// Commands that change Drive and have no confirmation step of their own
+const CONFIRM_INTERPRETED = ['MOVE'];
+
+// Commands that call the Drive API directly, so they only work with Google Drive storage
+const DRIVE_ONLY_COMMANDS = ['COPY', 'GET', 'RENAME', 'SEARCH', 'SHARE', 'UNSHARE', 'WHO', 'LINK', 'UNLINK', 'WHOAMI'];
+
+// Ask the LLM to map a free-form message to a command, echoing it back as text
+async function interpretMessage(messageBody) {
+  const commandText = await intentClassifier.classify(messageBody);
+  if (!commandText) {
+    return null;
   }
+
+  const parsedCommand = parseCommand(commandText);
+  if (parsedCommand.command === 'UNKNOWN' || parsedCommand.command === 'PARSE_ERROR') {
+    return null;
+  }
+
+  return { ...parsedCommand, interpreted: true, commandText };
 }
 
 // Google Drive operations
 async function listFiles(folderPath, page = 1) {
   try {
-    let folderId = 'root';
-    
-    // If not root folder, find folder by name or path (case-insensitive)
-    if (folderPath !== '/' && folderPath !== 'ROOT') {
-      // First try exact match
-      let folderQuery = `name='${folderPath}' and mimeType='application/vnd.google-apps.folder'`;
-      let folderResponse = await drive.files.list({
-        q: folderQuery,
-        fields: 'files(id, name)'
-      });
-      
-      // If no exact match, try case-insensitive search
-      if (folderResponse.data.files.length === 0) {
-        const searchFolders = await drive.files.list({
-          q: `mimeType='application/vnd.google-apps.folder'`,
-          fields: 'files(id, name)'
-        });
-        
-        const matchingFolder = searchFolders.data.files.find(folder => 
-          folder.name.toLowerCase() === folderPath.toLowerCase()
-        );
-        
-        if (matchingFolder) {
-          folderId = matchingFolder.id;
-        } else {
-          return { error: `Folder '${folderPath}' not found` };
-        }
-      } else {
-        folderId = folderResponse.data.files[0].id;
-      }
+    const resolved = await pathResolver.resolve(folderPath, { folderOnly: true });
+    if (!resolved.file) {
+      return resolved;
     }
 
-    const response = await drive.files.list({
-      q: `'${folderId}' in parents and trashed=false`,
-      fields: 'files(id,name,mimeType,size,modifiedTime)',
-      orderBy: 'name'
-    });
-
-    const allFiles = response.data.files;
+    const allFiles = await storage.listFolder(resolved.file.id);
     const pageSize = 10;
     const startIndex = (page - 1) * pageSize;
     const endIndex = startIndex + pageSize;
@@ -161,6 +478,7 @@ async function listFiles(folderPath, page = 1) {
     
     return { 
       files: paginatedFiles, 
+      folder: resolved.file,
       totalFiles: allFiles.length,
       page: page,
       totalPages: Math.ceil(allFiles.length / pageSize)
@@ -171,287 +489,792 @@ async function listFiles(folderPath, page = 1) {
   }
 }
 
-async function deleteFile(filePath) {
+async function findFile(filePath) {
+  return pathResolver.resolve(filePath);
+}
+
+// Full path of a resolved folder, with My Drive itself as /
+async function getFolderPath(folder) {
+  if (!folder.parents || folder.parents.length === 0) {
+    return '/';
+  }
+  return pathResolver.getPath(folder.id);
+}
+
+// The Google account the current command acts on
+async function getCurrentAccount() {
   try {
-    // Find file by name (case-insensitive)
-    let query = `name='${filePath}' and trashed=false`;
-    let response = await drive.files.list({
-      q: query,
-      fields: 'files(id, name)'
-    });
+    const response = await drive.about.get({ fields: 'user(displayName,emailAddress)' });
+    return { user: response.data.user, linked: (accountContext.getStore() || sharedWorkspace).linked };
+  } catch (error) {
+    console.error('Error reading account:', error);
+    return { error: error.message };
+  }
+}
 
-    // If no exact match, try case-insensitive search
-    if (response.data.files.length === 0) {
-      const allFiles = await drive.files.list({
-        q: `trashed=false`,
-        fields: 'files(id, name)'
-      });
-      
-      const matchingFile = allFiles.data.files.find(file => 
-        file.name.toLowerCase() === filePath.toLowerCase()
-      );
-      
-      if (!matchingFile) {
-        return { error: `File '${filePath}' not found` };
-      }
-      
-      response.data.files = [matchingFile];
+// Make a folder the sender's working folder
+async function changeDirectory(folderPath, fromNumber) {
+  try {
+    const resolved = await pathResolver.resolve(folderPath, { folderOnly: true });
+    if (!resolved.file) {
+      return resolved;
     }
 
-    const fileId = response.data.files[0].id;
-    await drive.files.delete({ fileId });
+    const path = await getFolderPath(resolved.file);
+    conversationState.setCwd(fromNumber, { id: resolved.file.id, path });
+    return { path };
+  } catch (error) {
+    console.error('Error changing folder:', error);
+    return { error: error.message };
+  }
+}
+
+async function trashFile(fileId, fileName) {
+  try {
+    await storage.trashFile(fileId);
+    pathResolver.invalidate();
 
-    return { success: true, fileName: filePath };
+    return { success: true, fileName, fileId };
   } catch (error) {
-    console.error('Error deleting file:', error);
+    console.error('Error trashing file:', error);
     return { error: error.message };
   }
 }
 
-async function moveFile(sourcePath, destinationPath) {
+async function deleteFile(fileId, fileName) {
   try {
-    // Find source file (case-insensitive)
-    let sourceQuery = `name='${sourcePath}' and trashed=false`;
-    let sourceResponse = await drive.files.list({
-      q: sourceQuery,
-      fields: 'files(id, name, parents)'
-    });
+    await storage.deleteFile(fileId);
+    pathResolver.invalidate();
 
-    // If no exact match, try case-insensitive search
-    if (sourceResponse.data.files.length === 0) {
-      const allFiles = await drive.files.list({
-        q: `trashed=false`,
-        fields: 'files(id, name, parents)'
-      });
-      
-      const matchingFile = allFiles.data.files.find(file => 
-        file.name.toLowerCase() === sourcePath.toLowerCase()
-      );
-      
-      if (!matchingFile) {
-        return { error: `Source file '${sourcePath}' not found` };
-      }
-      
-      sourceResponse.data.files = [matchingFile];
-    }
+    return { success: true, fileName, fileId };
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    return { error: error.message };
+  }
+}
 
-    const sourceFile = sourceResponse.data.files[0];
+async function listTrash(page = 1) {
+  try {
+    // Only what was trashed from the sender's folders
+    const allFiles = await pathResolver.filterTrashed(await storage.listTrash());
+    const pageSize = 10;
+    const startIndex = (page - 1) * pageSize;
 
-    // Find destination folder
-    let destinationId = 'root';
-    if (destinationPath !== '/' && destinationPath !== 'ROOT') {
-      let destQuery = `name='${destinationPath}' and mimeType='application/vnd.google-apps.folder'`;
-      let destResponse = await drive.files.list({
-        q: destQuery,
-        fields: 'files(id, name)'
-      });
+    return {
+      files: allFiles.slice(startIndex, startIndex + pageSize),
+      totalFiles: allFiles.length,
+      page: page,
+      totalPages: Math.ceil(allFiles.length / pageSize)
+    };
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    return { error: error.message };
+  }
+}
 
-      // If no exact match, try case-insensitive search
-      if (destResponse.data.files.length === 0) {
-        const allFolders = await drive.files.list({
-          q: `mimeType='application/vnd.google-apps.folder'`,
-          fields: 'files(id, name)'
-        });
-        
-        const matchingFolder = allFolders.data.files.find(folder => 
-          folder.name.toLowerCase() === destinationPath.toLowerCase()
-        );
-        
-        if (!matchingFolder) {
-          return { error: `Destination folder '${destinationPath}' not found` };
-        }
-        
-        destinationId = matchingFolder.id;
-      } else {
-        destinationId = destResponse.data.files[0].id;
-      }
+async function restoreFile(filePath) {
+  try {
+    // Most recently trashed match wins when several share a name. Matches trashed from
+    // outside the sender's folders read as not found, but are still audited.
+    const matches = await storage.listTrash({ name: filePath });
+    const [matchingFile] = await pathResolver.filterTrashed(matches);
+    if (!matchingFile) {
+      return matches.length > 0
+        ? { error: `No trashed file named '${filePath}'`, denied: true }
+        : { error: `No trashed file named '${filePath}'` };
     }
 
-    // Move file
-    const previousParents = sourceFile.parents.join(',');
-    await drive.files.update({
-      fileId: sourceFile.id,
-      addParents: destinationId,
-      removeParents: previousParents
-    });
+    const restored = await storage.restoreFile(matchingFile.id);
+    pathResolver.invalidate();
 
-    return { success: true, fileName: sourcePath, destination: destinationPath };
+    return { success: true, fileName: restored.name, fileId: restored.id };
   } catch (error) {
-    console.error('Error moving file:', error);
+    console.error('Error restoring file:', error);
     return { error: error.message };
   }
 }
 
-// AI Summarization using Gemini API
-async function summarizeWithGemini(content, fileName) {
+async function moveFile(sourcePath, destinationPath) {
   try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${process.env.GOOGLE_GEMINI_API_KEY}`,
-      {
-        contents: [{
-          parts: [{
-            text: `Please provide a concise summary of the following document content. Focus on key points, main topics, and important information. Keep the summary under 200 words.
-
-Document Name: ${fileName}
-
-Content:
-${content.substring(0, 4000)}`
-          }]
-        }]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const source = await pathResolver.resolve(sourcePath);
+    if (source.error) {
+      return { error: `Source: ${source.error}`, denied: source.denied };
+    }
+    if (source.candidates) {
+      return { candidates: source.candidates, field: 'sourcePath' };
+    }
 
-    if (response.data.candidates && response.data.candidates[0]) {
-      return response.data.candidates[0].content.parts[0].text;
+    const destination = await pathResolver.resolve(destinationPath, { folderOnly: true });
+    if (destination.error) {
+      return { error: `Destination: ${destination.error}`, denied: destination.denied };
     }
+    if (destination.candidates) {
+      return { candidates: destination.candidates, field: 'destinationPath' };
+    }
+
+    // Move file. Local storage gives the moved file a new ID.
+    const moved = await storage.moveFile(source.file.id, destination.file.id);
+    pathResolver.invalidate();
 
-    return 'Unable to generate summary';
+    return {
+      success: true,
+      fileName: moved.name,
+      fileId: moved.id,
+      destination: destination.file.name,
+      destinationId: destination.file.id
+    };
   } catch (error) {
-    console.error('Error with Gemini API:', error);
-    return `Error generating summary: ${error.message}`;
+    console.error('Error moving file:', error);
+    return { error: error.message };
   }
 }
 
-async function summarizeContent(path) {
+async function renameFile(filePath, newName) {
   try {
-    // Check if it's a specific file or folder
-    const isFilePath = path.includes('.') && !path.endsWith('/');
-    
-    if (isFilePath) {
-      // Summarize specific file
-      return await summarizeSpecificFile(path);
-    } else {
-      // Summarize folder contents
-      return await summarizeFolder(path);
+    const resolved = await pathResolver.resolve(filePath);
+    if (!resolved.file) {
+      return resolved;
     }
+    if (resolved.file.id === 'root') {
+      return { error: 'My Drive itself cannot be renamed' };
+    }
+
+    await drive.files.update({
+      fileId: resolved.file.id,
+      requestBody: { name: newName }
+    });
+    pathResolver.invalidate();
+
+    return {
+      success: true,
+      fileId: resolved.file.id,
+      oldName: resolved.file.name,
+      newName,
+      isFolder: resolved.file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE
+    };
   } catch (error) {
-    console.error('Error summarizing content:', error);
+    console.error('Error renaming file:', error);
     return { error: error.message };
   }
 }
 
-async function summarizeSpecificFile(fileName) {
-  try {
-    // Search for the file by name
-    const searchQuery = `name='${fileName}' and trashed=false`;
-    const searchResponse = await drive.files.list({
-      q: searchQuery,
-      fields: 'files(id,name,mimeType,size)'
-    });
+async function createFolder(folderPath) {
+  const result = await pathResolver.createFolderPath(folderPath);
+  if (result.error) {
+    return result;
+  }
+  if (result.created.length === 0) {
+    return { error: `Folder '${folderPath}' already exists` };
+  }
 
-    if (searchResponse.data.files.length === 0) {
-      return { error: `File '${fileName}' not found` };
-    }
+  return {
+    success: true,
+    folderId: result.folder.id,
+    folderName: result.folder.name,
+    created: result.created
+  };
+}
 
-    const file = searchResponse.data.files[0];
-    
-    // Check if file is summarizable
-    if (!file.mimeType || !(
-      file.mimeType.includes('text/') ||
-      file.mimeType.includes('application/pdf') ||
-      file.mimeType.includes('application/vnd.google-apps.document') ||
-      file.mimeType.includes('application/vnd.openxmlformats-officedocument')
-    )) {
-      return { error: `File type '${file.mimeType}' cannot be summarized` };
+async function copyFile(sourcePath, destinationPath) {
+  try {
+    const source = await pathResolver.resolve(sourcePath);
+    if (source.error) {
+      return { error: `Source: ${source.error}`, denied: source.denied };
+    }
+    if (source.candidates) {
+      return { candidates: source.candidates, field: 'sourcePath' };
+    }
+    if (source.file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE) {
+      return { error: `'${source.file.name}' is a folder. Google Drive can only copy files.` };
     }
 
-    try {
-      // Download file content
-      const fileResponse = await drive.files.get({
-        fileId: file.id,
-        alt: 'media'
-      });
-
-      let content = '';
-      if (typeof fileResponse.data === 'string') {
-        content = fileResponse.data;
-      } else if (Buffer.isBuffer(fileResponse.data)) {
-        content = fileResponse.data.toString('utf-8');
-      } else {
-        content = JSON.stringify(fileResponse.data);
-      }
-
-      // Generate summary
-      const summary = await summarizeWithGemini(content, file.name);
-      return { 
-        summaries: [{
-          fileName: file.name,
-          summary: summary
-        }]
-      };
-    } catch (fileError) {
-      console.error(`Error processing file ${file.name}:`, fileError);
-      return { error: `Unable to process file: ${fileError.message}` };
+    const destination = await pathResolver.resolve(destinationPath, { folderOnly: true });
+    if (destination.error) {
+      return { error: `Destination: ${destination.error}`, denied: destination.denied };
     }
+    if (destination.candidates) {
+      return { candidates: destination.candidates, field: 'destinationPath' };
+    }
+
+    // A copy next to the original gets Drive's usual "Copy of" name
+    const sameFolder = (source.file.parents || []).includes(destination.file.id);
+    const response = await drive.files.copy({
+      fileId: source.file.id,
+      requestBody: {
+        name: sameFolder ? `Copy of ${source.file.name}` : source.file.name,
+        parents: [destination.file.id]
+      },
+      fields: 'id,name'
+    });
+    pathResolver.invalidate();
+
+    return {
+      success: true,
+      fileId: source.file.id,
+      fileName: source.file.name,
+      copyId: response.data.id,
+      copyName: response.data.name,
+      destination: destination.file.name,
+      destinationId: destination.file.id
+    };
   } catch (error) {
-    console.error('Error summarizing specific file:', error);
+    console.error('Error copying file:', error);
     return { error: error.message };
   }
 }
 
-async function summarizeFolder(folderPath) {
-  try {
-    const filesResult = await listFiles(folderPath);
-    
-    if (filesResult.error) {
-      return { error: filesResult.error };
+// Find the files a wildcard MOVE or DELETE would touch and hold them for a CONFIRM
+async function prepareBulk(parsedCommand, operation, fromNumber) {
+  const folderField = operation === 'move' ? 'sourcePath' : 'filePath';
+  const folder = await pathResolver.resolve(parsedCommand[folderField], { folderOnly: true });
+  if (folder.error) {
+    return folder;
+  }
+  if (folder.candidates) {
+    return { candidates: folder.candidates, field: folderField };
+  }
+
+  let target = {};
+  if (operation === 'move') {
+    const destination = await pathResolver.resolve(parsedCommand.destinationPath, { folderOnly: true });
+    if (destination.error) {
+      return { error: `Destination: ${destination.error}`, denied: destination.denied };
+    }
+    if (destination.candidates) {
+      return { candidates: destination.candidates, field: 'destinationPath' };
     }
+    target = { id: destination.file.id, name: destination.file.name };
+  }
 
-    const summaries = [];
-    
-    for (const file of filesResult.files) {
-      // Only process text-based files
-      if (file.mimeType && (
-        file.mimeType.includes('text/') ||
-        file.mimeType.includes('application/pdf') ||
-        file.mimeType.includes('application/vnd.google-apps.document') ||
-        file.mimeType.includes('application/vnd.openxmlformats-officedocument')
-      )) {
-        try {
-          // Download file content
-          const fileResponse = await drive.files.get({
-            fileId: file.id,
-            alt: 'media'
-          });
-
-          let content = '';
-          if (typeof fileResponse.data === 'string') {
-            content = fileResponse.data;
-          } else if (Buffer.isBuffer(fileResponse.data)) {
-            content = fileResponse.data.toString('utf-8');
-          } else {
-            content = JSON.stringify(fileResponse.data);
-          }
+  const items = await bulkOperations.findMatches(folder.file.id, parsedCommand.pattern);
+  if (items.length === 0) {
+    return { error: `No files in '${folder.file.name}' match '${parsedCommand.pattern}'` };
+  }
+  if (items.length > bulkOperations.maxFiles) {
+    return { error: `${items.length} files match '${parsedCommand.pattern}', more than the limit of ${bulkOperations.maxFiles}. Use a narrower pattern.` };
+  }
 
-          // Generate summary
-          const summary = await summarizeWithGemini(content, file.name);
-          summaries.push({
-            fileName: file.name,
-            summary: summary
-          });
-        } catch (fileError) {
-          console.error(`Error processing file ${file.name}:`, fileError);
-          summaries.push({
-            fileName: file.name,
-            summary: `Unable to process file: ${fileError.message}`
-          });
-        }
-      }
-    }
+  const action = pendingActions.create(fromNumber, 'BULK', {
+    operation,
+    folderId: folder.file.id,
+    folderName: folder.file.name,
+    pattern: parsedCommand.pattern,
+    target,
+    items,
+    label: operation === 'move'
+      ? `MOVE ${folder.file.name}/${parsedCommand.pattern} TO ${target.name}`
+      : `DELETE ${folder.file.name}/${parsedCommand.pattern}${operation === 'delete' ? ' PERMANENT' : ''}`
+  });
 
-    return { summaries };
+  return {
+    operation,
+    folderName: folder.file.name,
+    pattern: parsedCommand.pattern,
+    count: items.length,
+    preview: items.slice(0, bulkPreviewCount).map(item => item.name),
+    target,
+    code: action.code,
+    expiresInSeconds: pendingActions.ttlSeconds
+  };
+}
+
+// Run a bulk job to the end and summarize the per-file outcome
+async function runBulkJob(bulkJobId, context = {}) {
+  try {
+    const finished = await bulkOperations.run(bulkJobId, context);
+    return {
+      jobId: finished.id,
+      operation: finished.operation,
+      target: finished.target,
+      succeeded: finished.items.filter(item => item.status === 'done').map(item => item.name),
+      failed: finished.items.filter(item => item.status === 'failed').map(item => ({ name: item.name, error: item.error })),
+      cancelled: finished.items.filter(item => item.status === 'cancelled').length
+    };
   } catch (error) {
-    console.error('Error summarizing folder:', error);
+    console.error('Error running bulk job:', error);
     return { error: error.message };
   }
 }
 
-// Format response for WhatsApp
+// Hand a bulk job to the job queue and describe it for the JOB_QUEUED reply
+function queueBulkJob(bulkJob, label, fromNumber, sessionId) {
+  const job = jobQueue.enqueue(bulkJob.fromNumber, 'bulk', {
+    parsedCommand: { command: 'BULK_RESULT' },
+    bulkJobId: bulkJob.id,
+    replyTo: fromNumber,
+    sessionId
+  }, label);
+  return { jobId: job.id, label: job.label, position: jobQueue.getPosition(job.id), count: bulkJob.items.length };
+}
+
+// Email domains SHARE may grant access to without a CONFIRM (comma separated)
+const shareAllowedDomains = (process.env.SHARE_ALLOWED_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+// Why a SHARE needs confirmation: editor rights, or an address outside the allowed domains
+function getShareRisks(email, role) {
+  const risks = [];
+  if (role === 'editor') {
+    risks.push('grants editor rights');
+  }
+  const domain = email.split('@').pop().toLowerCase();
+  if (!shareAllowedDomains.includes(domain)) {
+    risks.push(`shares outside the allowed domains (${domain})`);
+  }
+  return risks;
+}
+
+// Drive permission roles shown in WHO replies
+const PERMISSION_ROLE_NAMES = {
+  owner: 'owner',
+  organizer: 'manager',
+  fileOrganizer: 'content manager',
+  writer: 'editor',
+  commenter: 'commenter',
+  reader: 'viewer'
+};
+
+async function listPermissions(filePath) {
+  try {
+    const resolved = await pathResolver.resolve(filePath);
+    if (!resolved.file) {
+      return resolved;
+    }
+
+    const response = await drive.permissions.list({
+      fileId: resolved.file.id,
+      fields: 'permissions(id,type,role,emailAddress,domain,displayName)',
+      pageSize: 100
+    });
+
+    const permissions = response.data.permissions.map(permission => ({
+      id: permission.id,
+      type: permission.type,
+      role: PERMISSION_ROLE_NAMES[permission.role] || permission.role,
+      who: permission.type === 'anyone'
+        ? 'Anyone with the link'
+        : permission.type === 'domain'
+          ? `Everyone at ${permission.domain}`
+          : permission.emailAddress || permission.displayName || permission.id
+    }));
+
+    return {
+      fileId: resolved.file.id,
+      fileName: resolved.file.name,
+      permissions
+    };
+  } catch (error) {
+    console.error('Error listing permissions:', error);
+    return { error: error.message };
+  }
+}
+
+async function shareFile(filePath, email, role) {
+  try {
+    const resolved = await pathResolver.resolve(filePath);
+    if (!resolved.file) {
+      return resolved;
+    }
+
+    const response = await drive.permissions.create({
+      fileId: resolved.file.id,
+      requestBody: {
+        type: 'user',
+        role: CommandParser.SHARE_ROLES[role],
+        emailAddress: email
+      },
+      sendNotificationEmail: true,
+      fields: 'id,role,emailAddress'
+    });
+
+    return {
+      success: true,
+      fileId: resolved.file.id,
+      fileName: resolved.file.name,
+      isFolder: resolved.file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE,
+      permissionId: response.data.id,
+      email,
+      role
+    };
+  } catch (error) {
+    console.error('Error sharing file:', error);
+    return { error: error.message };
+  }
+}
+
+async function unshareFile(filePath, email) {
+  try {
+    const resolved = await pathResolver.resolve(filePath);
+    if (!resolved.file) {
+      return resolved;
+    }
+
+    const response = await drive.permissions.list({
+      fileId: resolved.file.id,
+      fields: 'permissions(id,role,emailAddress)',
+      pageSize: 100
+    });
+    const permission = response.data.permissions
+      .find(item => (item.emailAddress || '').toLowerCase() === email);
+
+    if (!permission) {
+      return { error: `'${resolved.file.name}' is not shared with ${email}` };
+    }
+    if (permission.role === 'owner') {
+      return { error: `${email} owns '${resolved.file.name}' and can't be removed` };
+    }
+
+    await drive.permissions.delete({
+      fileId: resolved.file.id,
+      permissionId: permission.id
+    });
+
+    return {
+      success: true,
+      fileId: resolved.file.id,
+      fileName: resolved.file.name,
+      permissionId: permission.id,
+      email
+    };
+  } catch (error) {
+    console.error('Error removing permission:', error);
+    return { error: error.message };
+  }
+}
+
+// Map-reduce summarization of long documents
+const summarizer = new Summarizer((prompt, options) => llmProvider.generate(prompt, options));
+
+// Summaries of unchanged files are reused instead of calling the model again
+const summaryCache = SummaryCache.fromEnv();
+
+// Question answering over Drive documents
+const documentQA = new DocumentQA((prompt, options) => llmProvider.generate(prompt, options));
+
+// AI summarization with the configured LLM provider
+async function summarizeText(content, fileName) {
+  try {
+    return await summarizer.summarize(content, fileName);
+  } catch (error) {
+    console.error(`Error with ${llmProvider.name} LLM provider:`, error);
+    return { summary: `Error generating summary: ${error.message}`, failed: true };
+  }
+}
+
+async function summarizeContent(path, context = {}) {
+  try {
+    // Decide between a single file and a folder from what the path resolves to
+    const resolved = await pathResolver.resolve(path);
+    if (!resolved.file) {
+      return resolved;
+    }
+
+    if (resolved.file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE) {
+      // Summarize folder contents
+      return await summarizeFolder(`id:${resolved.file.id}`, context);
+    } else {
+      // Summarize specific file. Resolver metadata may be cached, and the summary
+      // cache needs the file's current revision.
+      const file = await storage.getFile(resolved.file.id);
+      return await summarizeSpecificFile(file, context);
+    }
+  } catch (error) {
+    console.error('Error summarizing content:', error);
+    return { error: error.message };
+  }
+}
+
+// Summarize one file, reusing the cached summary of this revision unless fresh is set
+async function summarizeFile(file, options = {}) {
+  // A different model writes a different summary, so it is part of the variant
+  const variant = `${summarizer.getVariant()}-${llmProvider.name}:${llmProvider.model}`;
+
+  if (!options.fresh) {
+    const cached = await summaryCache.get(file, variant);
+    if (cached) {
+      return { fileId: file.id, fileName: file.name, mimeType: file.mimeType, ...cached, cached: true };
+    }
+  }
+
+  // Download and extract text according to the file type
+  const extracted = await textExtractor.extract(file);
+  if (extracted.error) {
+    return { error: extracted.error };
+  }
+
+  // Generate summary
+  const summary = await summarizeText(extracted.text, file.name);
+  if (!summary.failed) {
+    await summaryCache.set(file, variant, summary);
+  }
+
+  return { fileId: file.id, fileName: file.name, mimeType: file.mimeType, ...summary, cached: false };
+}
+
+async function summarizeSpecificFile(file, options = {}) {
+  try {
+    const summary = await summarizeFile(file, options);
+    if (summary.error) {
+      return { error: summary.error };
+    }
+    return { summaries: [summary] };
+  } catch (error) {
+    console.error('Error summarizing specific file:', error);
+    return { error: error.message };
+  }
+}
+
+async function summarizeFolder(folderPath, context = {}) {
+  try {
+    const filesResult = await listFiles(folderPath);
+    
+    if (filesResult.error) {
+      return { error: filesResult.error, denied: filesResult.denied };
+    }
+
+    // Only process files we can extract text from
+    const files = filesResult.files.filter(file => textExtractor.isSupported(file.mimeType));
+    const summaries = [];
+    
+    for (const file of files) {
+      if (context.isCancelled && context.isCancelled()) {
+        return { summaries, cancelled: true };
+      }
+      if (context.progress && summaries.length > 0) {
+        context.progress(summaries.length, files.length);
+      }
+
+      const summary = await summarizeFile(file, context);
+      if (summary.error) {
+        summaries.push({
+          fileName: file.name,
+          summary: summary.error
+        });
+        continue;
+      }
+      summaries.push(summary);
+    }
+
+    return { summaries };
+  } catch (error) {
+    console.error('Error summarizing folder:', error);
+    return { error: error.message };
+  }
+}
+
+// Full-text and metadata search, paginated like LIST
+async function searchFiles(terms, filters, folderPath, page = 1) {
+  try {
+    const clauses = ['trashed=false'];
+
+    if (terms) {
+      clauses.push(`fullText contains '${pathResolver.escapeQuery(terms)}'`);
+    }
+
+    if (filters.type) {
+      const mimeType = CommandParser.SEARCH_TYPES[filters.type];
+      clauses.push(mimeType.endsWith('/')
+        ? `mimeType contains '${mimeType}'`
+        : `mimeType='${mimeType}'`);
+    }
+
+    if (filters.modified) {
+      const cutoff = new Date(Date.now() - filters.modified.days * 24 * 60 * 60 * 1000).toISOString();
+      clauses.push(`modifiedTime ${filters.modified.newer ? '>' : '<'} '${cutoff}'`);
+    }
+
+    if (filters.owner) {
+      clauses.push(`'${pathResolver.escapeQuery(filters.owner)}' in owners`);
+    }
+
+    // in: limits results to the direct contents of one folder
+    if (folderPath && !(folderPath === '/' && !filters.in)) {
+      const folder = await pathResolver.resolve(folderPath, { folderOnly: true });
+      if (!folder.file) {
+        return folder;
+      }
+      clauses.push(`'${pathResolver.escapeQuery(folder.file.id)}' in parents`);
+    }
+
+    const response = await drive.files.list({
+      q: clauses.join(' and '),
+      fields: 'files(id,name,mimeType,size,modifiedTime,parents)',
+      pageSize: 100
+    });
+
+    // Show where each hit lives so duplicates can be told apart
+    const withParentPath = async file => {
+      let parentPath = '';
+      if (file.parents && file.parents.length > 0) {
+        try {
+          parentPath = await pathResolver.getPath(file.parents[0]);
+        } catch (error) {
+          console.error(`Error building parent path for ${file.name}:`, error);
+        }
+      }
+      return { ...file, parentPath };
+    };
+
+    let allFiles = response.data.files;
+    const pageSize = 10;
+    const startIndex = (page - 1) * pageSize;
+    let files;
+
+    const allows = currentPathFilter();
+    if (allows) {
+      // Hits outside the sender's folders are dropped, so every hit needs its location first
+      allFiles = (await Promise.all(allFiles.map(withParentPath)))
+        .filter(file => file.parentPath && allows(`${file.parentPath.replace(/\/+$/, '')}/${file.name}`));
+      files = allFiles.slice(startIndex, startIndex + pageSize);
+    } else {
+      files = await Promise.all(allFiles.slice(startIndex, startIndex + pageSize).map(withParentPath));
+    }
+
+    return {
+      files,
+      totalFiles: allFiles.length,
+      page: page,
+      totalPages: Math.ceil(allFiles.length / pageSize),
+      moreAvailable: !!response.data.nextPageToken
+    };
+  } catch (error) {
+    console.error('Error searching files:', error);
+    return { error: error.message };
+  }
+}
+
+// Prepare a file for sending: as WhatsApp media when small, otherwise as a time-limited link
+async function getFileForChat(filePath, baseUrl) {
+  try {
+    const resolved = await pathResolver.resolve(filePath);
+    if (!resolved.file) {
+      return resolved;
+    }
+
+    const file = resolved.file;
+    if (file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE) {
+      return { error: `'${file.name}' is a folder. GET works on single files.` };
+    }
+
+    let entry;
+    let size;
+    if (PDF_EXPORTABLE.includes(file.mimeType)) {
+      const buffer = await textExtractor.exportFile(file.id, 'application/pdf');
+      entry = { buffer, mimeType: 'application/pdf', fileName: `${file.name}.pdf` };
+      size = buffer.length;
+    } else if (file.mimeType.startsWith('application/vnd.google-apps.')) {
+      return { error: `'${file.name}' is a Google file type that can't be downloaded.` };
+    } else {
+      entry = { fileId: file.id, mimeType: file.mimeType, fileName: file.name };
+      size = parseInt(file.size, 10) || 0;
+    }
+
+    const asMedia = size <= maxMediaBytes;
+    // The download is fetched later, outside this message, so remember whose Drive it is in
+    entry.accountNumber = (accountContext.getStore() || sharedWorkspace).number;
+    // Media links only need to live until the messaging provider has fetched them
+    const link = downloadLinks.create(entry, asMedia ? 15 * 60 : undefined);
+    const url = `${baseUrl}/download/${link.token}`;
+
+    return {
+      fileId: file.id,
+      fileName: entry.fileName,
+      exportedAs: entry.buffer ? 'application/pdf' : null,
+      size,
+      delivery: asMedia ? 'media' : 'link',
+      mediaUrl: asMedia ? url : null,
+      url,
+      expiresAt: new Date(link.expiresAt).toISOString()
+    };
+  } catch (error) {
+    console.error('Error preparing file for chat:', error);
+    return { error: error.message };
+  }
+}
+
+// Save the media attached to a message into a storage folder
+async function saveMedia(media, folderPath, fileName) {
+  try {
+    if (!media || media.length === 0) {
+      return { error: 'Attach a photo or document to the SAVE message.' };
+    }
+
+    const folder = await pathResolver.resolve(folderPath, { folderOnly: true });
+    if (!folder.file) {
+      return folder;
+    }
+
+    const saved = await mediaSaver.saveAll(media, folder.file, fileName);
+    pathResolver.invalidate();
+
+    return { ...saved, folderPath, folderId: folder.file.id };
+  } catch (error) {
+    console.error('Error saving media:', error);
+    return { error: error.message };
+  }
+}
+
+// Download and extract the text of a file, or of every readable file in a folder
+async function loadDocuments(path, maxFiles = 20) {
+  const resolved = await pathResolver.resolve(path);
+  if (!resolved.file) {
+    return resolved;
+  }
+
+  let files = [resolved.file];
+  if (resolved.file.mimeType === DrivePathResolver.FOLDER_MIME_TYPE) {
+    files = [];
+    for (let page = 1; files.length < maxFiles; page++) {
+      const listing = await listFiles(`id:${resolved.file.id}`, page);
+      if (listing.error) {
+        return { error: listing.error, denied: listing.denied };
+      }
+      files = files.concat(listing.files.filter(file => textExtractor.isSupported(file.mimeType)));
+      if (page >= listing.totalPages) {
+        break;
+      }
+    }
+    files = files.slice(0, maxFiles);
+  }
+
+  const documents = [];
+  const skipped = [];
+  for (const file of files) {
+    const extracted = await textExtractor.extract(file);
+    if (extracted.error) {
+      skipped.push({ fileName: file.name, error: extracted.error });
+    } else {
+      documents.push({ fileName: file.name, fileId: file.id, text: extracted.text });
+    }
+  }
+
+  return { target: resolved.file, documents, skipped };
+}
+
+// Answer a question from a file or folder, citing the passages used
+async function askDocuments(path, question) {
+  try {
+    const loaded = await loadDocuments(path);
+    if (!loaded.documents) {
+      return loaded;
+    }
+
+    if (loaded.documents.length === 0) {
+      const reason = loaded.skipped.length > 0 ? loaded.skipped[0].error : 'No readable documents found';
+      return { error: reason };
+    }
+
+    const answer = await documentQA.ask(question, loaded.documents);
+    return { ...answer, target: path, question, skipped: loaded.skipped };
+  } catch (error) {
+    console.error('Error answering question:', error);
+    return { error: error.message };
+  }
+}
+
+// Format response for WhatsApp
 function formatWhatsAppResponse(command, result, commandData = null) {
   switch (command) {
     case 'LIST':
@@ -484,36 +1307,304 @@ function formatWhatsAppResponse(command, result, commandData = null) {
           }
           response += `\n\n💡 Example: LIST / PAGE 2`;
         }
-        
-        return response;
-      } else {
-        return '📁 No files found in the specified folder.';
+        
+        return response;
+      } else {
+        return '📁 No files found in the specified folder.';
+      }
+
+    case 'GET': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      const sizeText = result.size ? ` (${Math.round(result.size / 1024)}KB)` : '';
+      if (result.delivery === 'media') {
+        return `📎 ${result.fileName}${sizeText}`;
+      }
+      return `🔗 ${result.fileName}${sizeText} is too large to send in the chat. Download it here:
+
+${result.url}
+
+⏳ This link expires at ${result.expiresAt.substring(0, 16).replace('T', ' ')} UTC.`;
+    }
+
+    case 'SAVE': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      let response = '';
+      if (result.saved.length > 0) {
+        response += `📥 Saved ${result.saved.length} file(s) to '${result.folderPath}':\n\n`;
+        result.saved.forEach(file => {
+          response += file.webViewLink ? `• ${file.name}\n  ${file.webViewLink}\n` : `• ${file.name}\n`;
+        });
+      }
+      if (result.failed.length > 0) {
+        response += `${response ? '\n' : ''}❌ ${result.failed.length} attachment(s) could not be saved:\n`;
+        result.failed.forEach(item => {
+          response += `• ${item.contentType}: ${item.error}\n`;
+        });
+      }
+      return response;
+    }
+
+    case 'SEARCH':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      if (result.files && result.files.length > 0) {
+        const currentPage = result.page || 1;
+        const totalPages = result.totalPages || 1;
+        const total = result.moreAvailable ? `${result.totalFiles}+` : result.totalFiles;
+        let response = `🔍 Results for "${commandData.queryText}" (${total} total) - Page ${currentPage}/${totalPages}:\n\n`;
+
+        result.files.forEach((file, index) => {
+          const fileType = file.mimeType.includes('folder') ? '📁' : '📄';
+          const fileName = file.name.length > 25 ? file.name.substring(0, 22) + '...' : file.name;
+          const fileNumber = ((currentPage - 1) * 10) + index + 1;
+
+          response += `${fileNumber}. ${fileType} ${fileName}`;
+          if (file.parentPath) response += `\n    in ${file.parentPath}`;
+          response += `\n`;
+        });
+
+        if (totalPages > 1) {
+          response += `\n📖 Navigation:`;
+          if (currentPage < totalPages) {
+            response += `\n• Next: SEARCH ${commandData.queryText} PAGE ${currentPage + 1}`;
+          }
+          if (currentPage > 1) {
+            response += `\n• Previous: SEARCH ${commandData.queryText} PAGE ${currentPage - 1}`;
+          }
+        }
+
+        return response;
+      } else {
+        return `🔍 Nothing found for "${commandData.queryText}".`;
+      }
+
+    case 'DELETE_REQUEST':
+    case 'PURGE_REQUEST':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `⚠️ ${command === 'PURGE_REQUEST' ? 'PERMANENT DELETE' : 'DELETE'} CONFIRMATION REQUIRED
+
+File: ${result.fileName}
+
+${command === 'PURGE_REQUEST'
+  ? '🚨 This action cannot be undone!'
+  : '♻️ The file will be moved to the trash. Use RESTORE to bring it back.'}
+
+To confirm within ${Math.round(result.expiresInSeconds / 60) || 1} minute(s), send:
+CONFIRM ${result.code}
+
+💡 Or send any other message to cancel.`;
+      
+    case 'DELETE_CONFIRM':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `🗑️ Moved to trash:
+• ${result.fileName} (ID: ${result.fileId})
+
+♻️ To undo, send: RESTORE ${result.fileName}`;
+
+    case 'PURGE_CONFIRM':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `🗑️ Permanently deleted:
+• ${result.fileName} (ID: ${result.fileId})`;
+
+    case 'TRASH':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      if (result.files && result.files.length > 0) {
+        const currentPage = result.page || 1;
+        const totalPages = result.totalPages || 1;
+        let response = `🗑️ Trash (${result.totalFiles} total) - Page ${currentPage}/${totalPages}:\n\n`;
+
+        result.files.forEach((file, index) => {
+          const fileType = file.mimeType.includes('folder') ? '📁' : '📄';
+          const trashedOn = (file.trashedTime || file.modifiedTime || '').substring(0, 10);
+          const fileNumber = ((currentPage - 1) * 10) + index + 1;
+
+          response += `${fileNumber}. ${fileType} ${file.name}`;
+          if (trashedOn) response += ` (${trashedOn})`;
+          response += `\n`;
+        });
+
+        if (currentPage < totalPages) {
+          response += `\n• Next: TRASH PAGE ${currentPage + 1}`;
+        }
+        response += `\n♻️ To restore, send: RESTORE filename`;
+
+        return response;
+      } else {
+        return '🗑️ The trash is empty.';
+      }
+
+    case 'RESTORE':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `♻️ Restored from trash:
+• ${result.fileName} (ID: ${result.fileId})`;
+
+    case 'MOVE':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `📁 File '${result.fileName}' moved to '${result.destination}' successfully!`;
+
+    case 'BULK_PREVIEW': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      const effect = {
+        move: `move them to '${result.target.name}'`,
+        trash: 'move them to the trash',
+        delete: 'delete them permanently'
+      }[result.operation];
+
+      let response = `🔎 ${result.count} file(s) in '${result.folderName}' match '${result.pattern}':\n\n`;
+      result.preview.forEach(name => {
+        response += `• ${name}\n`;
+      });
+      if (result.count > result.preview.length) {
+        response += `…and ${result.count - result.preview.length} more\n`;
+      }
+      response += `\n⚠️ CONFIRMATION REQUIRED
+
+Nothing has changed yet. To ${effect} within ${Math.round(result.expiresInSeconds / 60) || 1} minute(s), send:
+CONFIRM ${result.code}
+
+💡 Or send any other message to cancel.`;
+      return response;
+    }
+
+    case 'MORE':
+      return result.error ? `📭 ${result.error}` : result.text;
+
+    case 'JOB_QUEUED':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `⏳ Working on it as job ${result.jobId} (${result.label})${result.position > 1 ? `, number ${result.position} in the queue` : ''}. I'll message you when it's done.
+
+💡 Send STATUS to check on it, or CANCEL ${result.jobId} to stop it.`;
+
+    case 'STATUS': {
+      if (result.jobs.length === 0) {
+        return '📭 You have no running or recent jobs.';
+      }
+      const icons = { queued: '⏳', running: '🔄', done: '✅', failed: '❌', cancelled: '🛑' };
+      let response = `📋 Your jobs:\n\n`;
+      result.jobs.forEach(job => {
+        const progress = job.status === 'running' && job.progress ? ` ${job.progress.done}/${job.progress.total}` : '';
+        response += `${icons[job.status]} ${job.id} - ${job.label} (${job.status}${progress})\n`;
+      });
+      return response;
+    }
+
+    case 'CANCEL':
+      if (result.error) {
+        return `❌ ${result.error}`;
+      }
+      return result.job.status === 'cancelled'
+        ? `🛑 Job ${result.job.id} (${result.job.label}) cancelled before it started.`
+        : `🛑 Stopping job ${result.job.id} (${result.job.label}). Work already done is kept; you'll get a final report.`;
+
+    case 'BULK_RESULT': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      const verb = { move: 'Moved', trash: 'Trashed', delete: 'Permanently deleted' }[result.operation];
+      const total = result.succeeded.length + result.failed.length;
+      const destination = result.operation === 'move' ? ` to '${result.target.name}'` : '';
+
+      let response = `${result.failed.length === 0 ? '✅' : '⚠️'} ${verb} ${result.succeeded.length} of ${total} file(s)${destination}.\n`;
+      if (result.succeeded.length > 0) {
+        response += `\n✔️ Done:\n`;
+        result.succeeded.slice(0, 20).forEach(name => {
+          response += `• ${name}\n`;
+        });
+        if (result.succeeded.length > 20) {
+          response += `…and ${result.succeeded.length - 20} more\n`;
+        }
+      }
+      if (result.failed.length > 0) {
+        response += `\n❌ Failed:\n`;
+        result.failed.forEach(item => {
+          response += `• ${item.name}: ${item.error}\n`;
+        });
+      }
+      if (result.cancelled > 0) {
+        response += `\n🛑 ${result.cancelled} file(s) left untouched.\n`;
       }
+      return response;
+    }
 
-    case 'DELETE_REQUEST':
-      const filePath = commandData ? commandData.filePath : 'unknown file';
-      return `⚠️ DELETE CONFIRMATION REQUIRED
+    case 'RENAME':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `✏️ ${result.isFolder ? 'Folder' : 'File'} '${result.oldName}' renamed to '${result.newName}'.`;
+
+    case 'MKDIR': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      let response = `📁 Created ${result.created.length === 1 ? 'folder' : 'folders'}:\n`;
+      result.created.forEach(folderPath => {
+        response += `• ${folderPath}\n`;
+      });
+      return response;
+    }
+
+    case 'COPY':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `📑 Copied '${result.fileName}' to '${result.destination}' as '${result.copyName}'.`;
+
+    case 'SHARE':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `🤝 ${result.isFolder ? 'Folder' : 'File'} '${result.fileName}' shared with ${result.email} as ${result.role}.`;
 
-File: ${filePath}
+    case 'SHARE_REQUEST':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `⚠️ CONFIRMATION REQUIRED
 
-🚨 This action cannot be undone!
+Sharing '${result.fileName}' with ${result.email} as ${result.role} ${result.risks.join(' and ')}.
 
-To confirm deletion, send:
-DELETE ${filePath} CONFIRM
+To share it within ${Math.round(result.expiresInSeconds / 60) || 1} minute(s), send:
+CONFIRM ${result.code}
 
 💡 Or send any other message to cancel.`;
-      
-    case 'DELETE_CONFIRM':
+
+    case 'UNSHARE':
       if (result.error) {
         return `❌ Error: ${result.error}`;
       }
-      return `🗑️ File '${result.fileName}' deleted successfully!`;
+      return `🔒 ${result.email} no longer has access to '${result.fileName}'.`;
 
-    case 'MOVE':
+    case 'WHO': {
       if (result.error) {
         return `❌ Error: ${result.error}`;
       }
-      return `📁 File '${result.fileName}' moved to '${result.destination}' successfully!`;
+      let response = `👥 Access to '${result.fileName}':\n\n`;
+      result.permissions.forEach(permission => {
+        response += `• ${permission.who} - ${permission.role}\n`;
+      });
+      return response;
+    }
 
     case 'SUMMARY':
       if (result.error) {
@@ -523,13 +1614,38 @@ DELETE ${filePath} CONFIRM
         let response = `📄 Document Summaries:\n\n`;
         result.summaries.forEach((item, index) => {
           response += `${index + 1}. **${item.fileName}**\n`;
-          response += `${item.summary}\n\n`;
+          response += `${item.summary}\n`;
+          if (item.partial) {
+            response += `⚠️ Partial summary: only the first ${item.chunksUsed} of ${item.totalChunks} sections were covered.\n`;
+          }
+          if (item.cached) {
+            response += `♻️ Cached summary from ${item.cachedAt.substring(0, 10)} (file unchanged since). Add FRESH to regenerate.\n`;
+          }
+          response += `\n`;
         });
         return response;
       } else {
         return '❌ No summarizable documents found in the folder.';
       }
 
+    case 'ASK': {
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      if (!result.found) {
+        return `🤷 I couldn't find the answer to "${result.question}" in '${result.target}'.\n\n💡 Try rephrasing the question or asking about a different file.`;
+      }
+
+      let response = `💬 ${result.answer}\n\n📎 Sources:\n`;
+      result.citations.forEach(citation => {
+        response += `• ${citation.file}: "${citation.quote}"\n`;
+      });
+      if (result.skipped && result.skipped.length > 0) {
+        response += `\n⚠️ ${result.skipped.length} file(s) could not be read.`;
+      }
+      return response;
+    }
+
     case 'HELP':
       return `🤖 WhatsApp Google Drive Assistant
 
@@ -537,20 +1653,129 @@ Available commands:
 
 📋 LIST /folder/path - List files in folder
 📋 LIST /folder/path PAGE 2 - See page 2 of files
-🗑️ DELETE filename.pdf - Delete a file (requires confirmation)
-📁 MOVE /source /destination - Move file
+📂 CD /folder/path - Set your working folder (CD .. goes up)
+📂 PWD - Show your working folder
+📋 LIST - List your working folder
+🔢 SUMMARY 3, MOVE 2 TO Archive... - Use the numbers from your last LIST
+🗑️ DELETE filename.pdf - Move a file to the trash (requires confirmation)
+🗑️ DELETE filename.pdf PERMANENT - Delete forever (admins only)
+🗑️ TRASH - List recently trashed items
+♻️ RESTORE filename.pdf - Bring a file back from the trash
+✅ CONFIRM 123456 - Confirm a pending delete with its code
+📁 MOVE file TO /destination - Move file
+📦 MOVE Inbox/*.pdf TO /Archive - Move every matching file (preview first)
+🗑️ DELETE Temp/*.tmp - Trash every matching file (preview first)
+▶️ RESUME - Finish a bulk operation that was interrupted
+📋 STATUS - See your running and recent jobs
+📨 MORE - Get the next part of a long reply
+🛑 CANCEL job - Stop a running or queued job
+📑 COPY file TO /destination - Copy a file into a folder
+✏️ RENAME file TO newname - Rename a file or folder
+📁 MKDIR /folder/path - Create a folder (and any missing parents)
+🤝 SHARE /path WITH email AS viewer|commenter|editor - Share a file or folder
+🔒 UNSHARE /path email - Remove someone's access
+👥 WHO /path - See who has access
 📄 SUMMARY /folder/path - Summarize documents in folder
 📄 SUMMARY filename.pdf - Summarize specific file
+📄 SUMMARY filename.pdf FRESH - Summarize again instead of using the cached summary
+🔍 SEARCH words type:pdf modified:<7d owner:me in:Folder - Search files
+📎 GET filename.pdf - Get a file in the chat (or a download link)
+📥 Send a photo or file with caption SAVE TO /Receipts - Save it to Drive
+🔗 LINK - Use your own Google account instead of the shared one
+🔓 UNLINK - Go back to the shared account
+👤 WHOAMI - See which Google account your commands use
+💬 ASK "contract.pdf" question - Answer a question from a file or folder (name in quotes)
+🔢 1, 2, 3... - Pick an item when a name matches several files
 ❓ HELP - Show this help
 
 Examples:
 • LIST /ProjectX
+• LIST /Clients/Acme/Invoices
 • LIST / PAGE 2
+• CD /Clients/Acme then LIST, then GET 2
 • DELETE report.pdf
+• MOVE Inbox/*.pdf TO Archive
+• MOVE "Q3 Report.pdf" TO /Clients/Acme
+• RENAME draft.docx TO "Final Report.docx"
+• MKDIR /Clients/Acme/2024
+• SHARE /Clients/Acme WITH jane@acme.com AS viewer
 • SUMMARY Documents
 • SUMMARY resume.pdf
+• SEARCH invoice type:pdf modified:<30d
+• ASK "Lease.pdf" When does the lease end?
+
+💬 You can also just ask, e.g. "move the Q3 report into Archive".
+
+💡 Commands work in any case. Put names with spaces in "quotes".
+
+🔒 Safety: DELETE, and SHARE as editor or outside the allowed domains, require a CONFIRM with the code sent to you. Any other message cancels it.`;
+
+    case 'CD':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `📂 Now in ${result.path}\n\n💡 Send LIST to see what's here, or CD .. to go up.`;
+
+    case 'PWD':
+      return `📂 You are in ${result.path}`;
+
+    case 'LINK':
+      if (result.error) {
+        return `❌ ${result.error}`;
+      }
+      return `🔗 ${result.relink ? 'To link a different Google account, open' : 'Open'} this link within ${result.expiresInMinutes} minutes and approve access:
+
+${result.url}
+
+💡 Your commands will then act on your own Drive. Send WHOAMI to check, or UNLINK to go back.`;
+
+    case 'UNLINK':
+      return result.wasLinked
+        ? '🔓 Your Google account is unlinked. Commands now use the shared Drive.'
+        : 'ℹ️ You have no linked Google account. Commands use the shared Drive.';
+
+    case 'WHOAMI':
+      if (result.error) {
+        return `❌ Error: ${result.error}`;
+      }
+      return `👤 Acting as ${result.user.displayName} (${result.user.emailAddress})
+${result.linked ? '🔗 This is your linked account.' : '🏢 This is the shared account. Send LINK to use your own.'}`;
+
+    case 'ACCESS_DENIED':
+      return `🚫 Access denied: ${result.error}`;
+
+    case 'CHOOSE': {
+      let response = `🔎 '${result.name}' matches ${result.candidates.length} items:\n\n`;
+      result.candidates.forEach((candidate, index) => {
+        const fileType = candidate.mimeType && candidate.mimeType.includes('folder') ? '📁' : '📄';
+        response += `${index + 1}. ${fileType} ${candidate.path}\n`;
+      });
+      response += `\n💡 Reply with the number of the one you mean, or send the full path.`;
+      return response;
+    }
+
+    case 'PICK':
+      return `❌ ${result.error}`;
 
-🔒 Safety: DELETE requires confirmation with 'CONFIRM' keyword`;
+    case 'INTENT_CONFIRM':
+      return `⚠️ CONFIRMATION REQUIRED
+
+This will change your Drive. To run it within ${Math.round(result.expiresInSeconds / 60) || 1} minute(s), send:
+CONFIRM ${result.code}
+
+💡 Or send any other message to cancel.`;
+
+    case 'PARSE_ERROR': {
+      let response = `❌ ${commandData.error}`;
+      if (commandData.token) {
+        // Point at the token that could not be understood
+        response += `\n\n\`\`\`${commandData.message}\n${' '.repeat(commandData.token.start)}^\`\`\``;
+      }
+      return response + `\n\n💡 Send HELP to see available commands.`;
+    }
+
+    case 'CONFIRM':
+      return `❌ ${result.error}`;
 
     case 'UNKNOWN':
     default:
@@ -558,90 +1783,619 @@ Examples:
   }
 }
 
-// Main webhook handler
-app.post('/whatsapp-webhook', async (req, res) => {
-  try {
-    console.log('Received WhatsApp webhook:', req.body);
+// Which path a command resolves when Drive returns several matches
+const AMBIGUOUS_FIELDS = {
+  LIST: 'folderPath',
+  CD: 'folderPath',
+  SUMMARY: 'folderPath',
+  ASK: 'folderPath',
+  SEARCH: 'folderPath',
+  SAVE: 'folderPath',
+  GET: 'filePath',
+  RENAME: 'filePath',
+  SHARE: 'filePath',
+  UNSHARE: 'filePath',
+  WHO: 'filePath',
+  DELETE_REQUEST: 'filePath',
+  PURGE_REQUEST: 'filePath'
+};
+
+// Paths the sender's folder limits refuse are audited the same as refused commands
+function auditDenied(result, command, { fromNumber, sessionId }) {
+  if (result && result.denied) {
+    logger.logSecurityEvent('access_denied', {
+      fromNumber,
+      command,
+      reason: result.error
+    }, sessionId);
+  }
+}
 
-    const messageBody = req.body.Body;
-    const fromNumber = req.body.From;
-    const messageId = req.body.MessageSid;
+// Run a parsed command and return its result. parsedCommand.command may be
+// rewritten to the variant the reply should be formatted as.
+async function executeCommand(parsedCommand, context) {
+  const { fromNumber, sessionId } = context;
+  let result = {};
+
+  // Commands guessed from free text never change Drive without a CONFIRM
+  if (parsedCommand.interpreted && CONFIRM_INTERPRETED.includes(parsedCommand.command)) {
+    const action = pendingActions.create(fromNumber, 'COMMAND', {
+      parsedCommand: { ...parsedCommand, interpreted: false },
+      label: parsedCommand.commandText
+    });
+    logger.logSecurityEvent('interpreted_command_request', { fromNumber, command: parsedCommand.commandText }, sessionId);
+    parsedCommand.command = 'INTENT_CONFIRM';
+    return { code: action.code, expiresInSeconds: pendingActions.ttlSeconds };
+  }
 
-    if (!messageBody) {
-      return res.json({ status: 'ignored', message: 'No message body' });
+  // Local and memory storage can't serve the Drive-only commands
+  if (storage.name !== 'drive' && DRIVE_ONLY_COMMANDS.includes(parsedCommand.command)) {
+    return { error: `${parsedCommand.command} needs Google Drive storage; this server keeps files in ${storage.name} storage` };
+  }
+
+  switch (parsedCommand.command) {
+    case 'LIST':
+      result = await listFiles(parsedCommand.folderPath, parsedCommand.page);
+      if (result.files) {
+        // Remember the numbers shown so later commands can refer to them
+        conversationState.setListing(fromNumber, await getFolderPath(result.folder), result.files, (result.page - 1) * 10 + 1);
+      }
+      logger.logDriveOperation('list', { folderPath: parsedCommand.folderPath }, sessionId);
+      break;
+
+    case 'CD':
+      result = await changeDirectory(parsedCommand.folderPath, fromNumber);
+      if (result.path) {
+        logger.logDriveOperation('change_directory', { fromNumber, folderPath: result.path }, sessionId);
+      }
+      break;
+
+    case 'PWD': {
+      const { cwd } = conversationState.get(fromNumber);
+      result = { path: cwd ? cwd.path : '/' };
+      break;
     }
 
-    // Parse command
-    const parsedCommand = parseCommand(messageBody);
-    
-    // Log command
-    const sessionId = logger.logCommand({
-      messageId,
-      fromNumber,
-      command: parsedCommand.command,
-      params: parsedCommand,
-      timestamp: new Date().toISOString()
-    });
+    case 'LINK': {
+      if (!driveAccounts.enabled) {
+        result = { error: 'Linking your own Google account needs TOKEN_STORE_KEY to be set on the server.' };
+        break;
+      }
+      const client = createOAuth2Client(getOAuthRedirectUri(context.baseUrl));
+      result = {
+        url: client.generateAuthUrl({
+          access_type: 'offline',
+          prompt: 'consent',
+          scope: GOOGLE_SCOPES,
+          state: driveAccounts.createState(fromNumber)
+        }),
+        expiresInMinutes: Math.round(driveAccounts.stateTtlSeconds / 60),
+        relink: driveAccounts.isLinked(fromNumber)
+      };
+      logger.logSecurityEvent('account_link_requested', { fromNumber }, sessionId);
+      break;
+    }
+
+    case 'UNLINK':
+      result = await driveAccounts.unlink(fromNumber);
+      if (result.wasLinked) {
+        // The working folder and numbered items belonged to the other account
+        conversationState.update(fromNumber, { cwd: null, listing: null });
+        logger.logSecurityEvent('account_unlinked', { fromNumber }, sessionId);
+      }
+      break;
 
-    let result = {};
+    case 'WHOAMI':
+      result = await getCurrentAccount();
+      break;
 
-    // Execute command
-    switch (parsedCommand.command) {
-      case 'LIST':
-        result = await listFiles(parsedCommand.folderPath, parsedCommand.page);
-        logger.logDriveOperation('list', { folderPath: parsedCommand.folderPath }, sessionId);
+    case 'DELETE_REQUEST':
+    case 'PURGE_REQUEST': {
+      if (parsedCommand.pattern) {
+        const operation = parsedCommand.command === 'PURGE_REQUEST' ? 'delete' : 'trash';
+        result = await prepareBulk(parsedCommand, operation, fromNumber);
+        if (!result.error && !result.candidates) {
+          parsedCommand.command = 'BULK_PREVIEW';
+          logger.logSecurityEvent('bulk_request', {
+            fromNumber,
+            operation,
+            folderPath: parsedCommand.filePath,
+            pattern: parsedCommand.pattern,
+            count: result.count
+          }, sessionId);
+        }
         break;
+      }
 
-      case 'DELETE_REQUEST':
-        // Just return confirmation request, don't delete yet
-        result = { filePath: parsedCommand.filePath };
-        logger.logSecurityEvent('delete_request', { filePath: parsedCommand.filePath }, sessionId);
+      // Resolve the file now, but only delete once the sender confirms
+      const found = await findFile(parsedCommand.filePath);
+      if (!found.file) {
+        result = found;
         break;
-        
-      case 'DELETE_CONFIRM':
-        result = await deleteFile(parsedCommand.filePath);
-        logger.logDriveOperation('delete', { filePath: parsedCommand.filePath }, sessionId);
+      }
+
+      const actionType = parsedCommand.command === 'PURGE_REQUEST' ? 'PURGE' : 'DELETE';
+      const action = pendingActions.create(fromNumber, actionType, {
+        filePath: parsedCommand.filePath,
+        fileId: found.file.id,
+        fileName: found.file.name
+      });
+      result = {
+        fileName: found.file.name,
+        code: action.code,
+        expiresInSeconds: pendingActions.ttlSeconds
+      };
+      logger.logSecurityEvent(actionType === 'PURGE' ? 'purge_request' : 'delete_request', {
+        fromNumber,
+        ...action.details
+      }, sessionId);
+      break;
+    }
+
+    case 'CONFIRM': {
+      const confirmation = pendingActions.confirm(fromNumber, parsedCommand.code);
+      if (confirmation.error) {
+        // Expiry is already audited by the pending action store
+        if (confirmation.cancelled) {
+          logger.logSecurityEvent('pending_action_cancelled', {
+            fromNumber,
+            type: confirmation.action.type,
+            details: confirmation.action.details,
+            reason: confirmation.error
+          }, sessionId);
+        }
+        result = { error: confirmation.error };
         break;
+      }
 
-      case 'MOVE':
-        result = await moveFile(parsedCommand.sourcePath, parsedCommand.destinationPath);
-        logger.logDriveOperation('move', { 
-          sourcePath: parsedCommand.sourcePath, 
-          destinationPath: parsedCommand.destinationPath 
+      const { type, details } = confirmation.action;
+      if (type === 'COMMAND') {
+        // Run the confirmed command exactly as it was echoed back
+        Object.assign(parsedCommand, details.parsedCommand);
+        return executeCommand(parsedCommand, context);
+      }
+      if (type === 'BULK') {
+        // Act on exactly the files that were previewed, in the background
+        const bulkJob = bulkOperations.createJob(confirmation.action.fromNumber, details.operation, details.items, details.target);
+        logger.logSecurityEvent('bulk_confirmed', {
+          fromNumber,
+          bulkJobId: bulkJob.id,
+          operation: details.operation,
+          folderId: details.folderId,
+          pattern: details.pattern,
+          destinationId: details.target.id,
+          count: details.items.length
         }, sessionId);
+        result = queueBulkJob(bulkJob, details.label, fromNumber, sessionId);
+        parsedCommand.command = 'JOB_QUEUED';
+        break;
+      }
+      if (type === 'PURGE') {
+        parsedCommand.command = 'PURGE_CONFIRM';
+        result = await deleteFile(details.fileId, details.fileName);
+        logger.logDriveOperation('delete', { ...details, success: !result.error }, sessionId);
+      } else {
+        parsedCommand.command = 'DELETE_CONFIRM';
+        result = await trashFile(details.fileId, details.fileName);
+        logger.logDriveOperation('trash', { ...details, success: !result.error }, sessionId);
+      }
+      break;
+    }
+
+    case 'TRASH':
+      result = await listTrash(parsedCommand.page);
+      logger.logDriveOperation('list_trash', { page: parsedCommand.page }, sessionId);
+      break;
+
+    case 'RESTORE':
+      result = await restoreFile(parsedCommand.filePath);
+      logger.logDriveOperation('restore', {
+        filePath: parsedCommand.filePath,
+        fileId: result.fileId,
+        fileName: result.fileName,
+        success: !result.error
+      }, sessionId);
+      break;
+
+    case 'MOVE':
+      if (parsedCommand.pattern) {
+        result = await prepareBulk(parsedCommand, 'move', fromNumber);
+        if (!result.error && !result.candidates) {
+          parsedCommand.command = 'BULK_PREVIEW';
+          logger.logSecurityEvent('bulk_request', {
+            fromNumber,
+            operation: 'move',
+            folderPath: parsedCommand.sourcePath,
+            pattern: parsedCommand.pattern,
+            destinationId: result.target.id,
+            count: result.count
+          }, sessionId);
+        }
+        break;
+      }
+
+      result = await moveFile(parsedCommand.sourcePath, parsedCommand.destinationPath);
+      logger.logDriveOperation('move', { 
+        sourcePath: parsedCommand.sourcePath, 
+        destinationPath: parsedCommand.destinationPath,
+        fileId: result.fileId,
+        destinationId: result.destinationId
+      }, sessionId);
+      break;
+
+    case 'RESUME': {
+      parsedCommand.command = 'JOB_QUEUED';
+      const number = PhoneNumber.normalize(fromNumber);
+      const bulkJob = bulkOperations.findUnfinished(number);
+      if (!bulkJob) {
+        result = { error: 'There is no unfinished bulk operation to resume.' };
+        break;
+      }
+
+      const queued = jobQueue.list(number)
+        .find(job => job.payload.bulkJobId === bulkJob.id && (job.status === 'queued' || job.status === 'running'));
+      if (queued) {
+        result = { error: `That operation is already ${queued.status} as job ${queued.id}. Send STATUS to follow it.` };
         break;
+      }
+
+      result = queueBulkJob(bulkJob, `RESUME ${bulkJob.operation}`, fromNumber, sessionId);
+      break;
+    }
 
-      case 'SUMMARY':
-        result = await summarizeContent(parsedCommand.folderPath);
-        logger.logAISummarization(
-          { name: 'folder', mimeType: 'folder' }, 
-          result.summaries ? JSON.stringify(result.summaries) : 'error', 
-          sessionId
-        );
+    case 'RENAME':
+      result = await renameFile(parsedCommand.filePath, parsedCommand.newName);
+      if (!result.candidates) {
+        logger.logDriveOperation('rename', {
+          filePath: parsedCommand.filePath,
+          fileId: result.fileId,
+          oldName: result.oldName,
+          newName: parsedCommand.newName,
+          success: !result.error
+        }, sessionId);
+      }
+      break;
+
+    case 'MKDIR':
+      result = await createFolder(parsedCommand.folderPath);
+      logger.logDriveOperation('create_folder', {
+        folderPath: parsedCommand.folderPath,
+        folderId: result.folderId,
+        created: result.created,
+        success: !result.error
+      }, sessionId);
+      break;
+
+    case 'COPY':
+      result = await copyFile(parsedCommand.sourcePath, parsedCommand.destinationPath);
+      if (!result.candidates) {
+        logger.logDriveOperation('copy', {
+          sourcePath: parsedCommand.sourcePath,
+          destinationPath: parsedCommand.destinationPath,
+          fileId: result.fileId,
+          copyId: result.copyId,
+          destinationId: result.destinationId,
+          success: !result.error
+        }, sessionId);
+      }
+      break;
+
+    case 'SHARE': {
+      // Editor rights and outside addresses wait for a CONFIRM, like DELETE
+      const risks = getShareRisks(parsedCommand.email, parsedCommand.role);
+      if (risks.length > 0 && !parsedCommand.confirmed) {
+        const found = await findFile(parsedCommand.filePath);
+        if (!found.file) {
+          result = found;
+          break;
+        }
+
+        const action = pendingActions.create(fromNumber, 'COMMAND', {
+          parsedCommand: { ...parsedCommand, filePath: `id:${found.file.id}`, confirmed: true },
+          label: `SHARE ${found.file.name} WITH ${parsedCommand.email}`
+        });
+        logger.logSecurityEvent('share_request', {
+          fromNumber,
+          fileId: found.file.id,
+          fileName: found.file.name,
+          email: parsedCommand.email,
+          role: parsedCommand.role,
+          risks
+        }, sessionId);
+        parsedCommand.command = 'SHARE_REQUEST';
+        result = {
+          fileName: found.file.name,
+          email: parsedCommand.email,
+          role: parsedCommand.role,
+          risks,
+          code: action.code,
+          expiresInSeconds: pendingActions.ttlSeconds
+        };
         break;
+      }
+
+      result = await shareFile(parsedCommand.filePath, parsedCommand.email, parsedCommand.role);
+      if (!result.candidates) {
+        logger.logDriveOperation('share', {
+          fromNumber,
+          fileId: result.fileId,
+          fileName: result.fileName,
+          email: parsedCommand.email,
+          role: parsedCommand.role,
+          confirmed: !!parsedCommand.confirmed,
+          success: !result.error
+        }, sessionId);
+      }
+      break;
+    }
 
-      case 'HELP':
-      case 'UNKNOWN':
-      default:
-        result = {};
+    case 'UNSHARE':
+      result = await unshareFile(parsedCommand.filePath, parsedCommand.email);
+      if (!result.candidates) {
+        logger.logDriveOperation('unshare', {
+          fromNumber,
+          fileId: result.fileId,
+          fileName: result.fileName,
+          email: parsedCommand.email,
+          success: !result.error
+        }, sessionId);
+      }
+      break;
+
+    case 'WHO':
+      result = await listPermissions(parsedCommand.filePath);
+      logger.logDriveOperation('list_permissions', { filePath: parsedCommand.filePath, fileId: result.fileId }, sessionId);
+      break;
+
+    case 'SUMMARY': {
+      // Resolve now so ambiguous names can be picked, then summarize in the background
+      const found = await findFile(parsedCommand.folderPath);
+      if (!found.file) {
+        result = found;
         break;
+      }
+
+      const job = jobQueue.enqueue(PhoneNumber.normalize(fromNumber), 'summary', {
+        parsedCommand: { command: 'SUMMARY', folderPath: `id:${found.file.id}`, fresh: parsedCommand.fresh },
+        replyTo: fromNumber,
+        sessionId
+      }, `SUMMARY ${found.file.name}${parsedCommand.fresh ? ' FRESH' : ''}`);
+      parsedCommand.command = 'JOB_QUEUED';
+      result = { jobId: job.id, label: job.label, position: jobQueue.getPosition(job.id) };
+      break;
+    }
+
+    case 'MORE': {
+      const next = outboundMessages.takeNext(fromNumber);
+      result = next ? { text: next } : { error: 'There is nothing more to send.' };
+      break;
     }
 
-    // Format response (pass command data for delete requests)
-    const responseMessage = formatWhatsAppResponse(parsedCommand.command, result, parsedCommand);
+    case 'STATUS':
+      result = { jobs: jobQueue.list(PhoneNumber.normalize(fromNumber)) };
+      break;
 
-    // Send WhatsApp response
-    try {
-      await twilioClient.messages.create({
-        from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-        to: fromNumber,
-        body: responseMessage
+    case 'CANCEL':
+      result = jobQueue.cancel(PhoneNumber.normalize(fromNumber), parsedCommand.jobId);
+      if (result.job) {
+        logger.logDriveOperation('cancel_job', { fromNumber, jobId: result.job.id, label: result.job.label }, sessionId);
+      }
+      break;
+
+    case 'GET':
+      result = await getFileForChat(parsedCommand.filePath, context.baseUrl);
+      if (!result.error && !result.candidates) {
+        logger.logDriveOperation('send_file', {
+          fromNumber,
+          fileId: result.fileId,
+          fileName: result.fileName,
+          exportedAs: result.exportedAs,
+          size: result.size,
+          delivery: result.delivery,
+          expiresAt: result.expiresAt
+        }, sessionId);
+      }
+      break;
+
+    case 'SAVE':
+      result = await saveMedia(context.media, parsedCommand.folderPath, parsedCommand.fileName);
+      (result.saved || []).forEach(file => {
+        logger.logDriveOperation('upload', {
+          fromNumber,
+          fileId: file.id,
+          fileName: file.name,
+          mimeType: file.mimeType,
+          size: file.size,
+          folderPath: parsedCommand.folderPath,
+          folderId: result.folderId
+        }, sessionId);
+      });
+      break;
+
+    case 'SEARCH':
+      result = await searchFiles(parsedCommand.terms, parsedCommand.filters, parsedCommand.folderPath, parsedCommand.page);
+      logger.logDriveOperation('search', {
+        terms: parsedCommand.terms,
+        filters: parsedCommand.filters,
+        resultCount: result.totalFiles
+      }, sessionId);
+      break;
+
+    case 'ASK':
+      result = await askDocuments(parsedCommand.folderPath, parsedCommand.question);
+      logger.logDriveOperation('ask', {
+        folderPath: parsedCommand.folderPath,
+        question: parsedCommand.question,
+        found: !!result.found,
+        citedFiles: (result.citations || []).map(citation => citation.file)
+      }, sessionId);
+      break;
+
+    case 'PICK': {
+      // Re-run the command that was ambiguous with the chosen candidate
+      const choice = pendingActions.get(fromNumber);
+      if (!choice || choice.type !== 'CHOOSE') {
+        return { error: 'There is nothing to pick from. Send the command again.' };
+      }
+
+      const candidate = choice.details.candidates[parsedCommand.index - 1];
+      if (!candidate) {
+        return { error: `Please pick a number between 1 and ${choice.details.candidates.length}.` };
+      }
+
+      pendingActions.consume(fromNumber);
+      Object.assign(parsedCommand, choice.details.parsedCommand, {
+        [choice.details.field]: `id:${candidate.id}`
       });
-    } catch (twilioError) {
-      console.error('Error sending WhatsApp message:', twilioError);
-      logger.logError(twilioError, 'whatsapp_send', sessionId);
+      // Attachments from the original message are still needed for SAVE
+      return executeCommand(parsedCommand, { ...context, media: choice.details.media });
+    }
+
+    case 'HELP':
+    case 'UNKNOWN':
+    default:
+      result = {};
+      break;
+  }
+
+  auditDenied(result, parsedCommand.command, context);
+
+  // Ask the sender to choose when a name matched more than one item
+  if (result.candidates) {
+    const field = result.field || AMBIGUOUS_FIELDS[parsedCommand.command];
+    pendingActions.create(fromNumber, 'CHOOSE', {
+      parsedCommand: { ...parsedCommand },
+      field,
+      candidates: result.candidates,
+      fileName: parsedCommand[field],
+      media: context.media
+    }, 'PICK');
+    result = { candidates: result.candidates, name: parsedCommand[field] };
+    parsedCommand.command = 'CHOOSE';
+  }
+
+  return result;
+}
+
+// Run one incoming message and send the reply. Returns false when there was nothing to run.
+async function handleIncomingMessage(message, baseUrl) {
+  const { fromNumber, messageId, media } = message;
+  const messageBody = message.body || '';
+
+  if (!messageBody.trim() && media.length === 0) {
+    return false;
+  }
+
+  // Parse command, falling back to the LLM for free-form messages
+  let parsedCommand = parseCommand(messageBody);
+  if (media.length > 0 && parsedCommand.command !== 'SAVE') {
+    // Attachments are always saved; any other caption becomes the file name
+    parsedCommand = { command: 'SAVE', folderPath: null, fileName: messageBody.trim() || null };
+  } else if (parsedCommand.command === 'UNKNOWN') {
+    parsedCommand = (await interpretMessage(messageBody)) || parsedCommand;
+  }
+
+  // SAVE without a folder goes to the sender's default folder
+  if (parsedCommand.command === 'SAVE' && !parsedCommand.folderPath) {
+    const user = accessControl.getUser(fromNumber);
+    parsedCommand.folderPath = (user && user.defaultFolder) || process.env.MEDIA_DEFAULT_FOLDER || '/';
+  }
+
+  // Turn item numbers and relative paths into id: values and full paths before access is checked
+  conversationState.resolveArguments(fromNumber, parsedCommand);
+  
+  // Log command
+  const sessionId = logger.logCommand({
+    messageId,
+    fromNumber,
+    command: parsedCommand.command,
+    params: parsedCommand.interpreted ? { ...parsedCommand, originalMessage: messageBody } : parsedCommand,
+    timestamp: new Date().toISOString()
+  });
+
+  let result = {};
+  let notice = parsedCommand.interpreted ? `🤖 Understood as: ${parsedCommand.commandText}\n\n` : '';
+
+  // Any message other than the one a pending action expects cancels it.
+  // MORE only pages through the last reply, which may be the prompt itself.
+  const pending = pendingActions.get(fromNumber);
+  if (pending && pending.expects !== parsedCommand.command && parsedCommand.command !== 'MORE') {
+    pendingActions.cancel(fromNumber);
+    if (pending.type !== 'CHOOSE') {
+      logger.logSecurityEvent('pending_action_cancelled', {
+        fromNumber,
+        type: pending.type,
+        details: pending.details
+      }, sessionId);
+      notice = `🚫 Pending ${pending.type.toLowerCase()} of '${pending.details.label || pending.details.fileName}' cancelled.\n\n` + notice;
+    }
+  }
+
+  // Check the sender's role before running anything
+  const access = accessControl.checkAccess(fromNumber, parsedCommand);
+  if (!access.allowed) {
+    logger.logSecurityEvent('access_denied', {
+      fromNumber,
+      role: access.role,
+      command: parsedCommand.command,
+      reason: access.reason
+    }, sessionId);
+    parsedCommand.command = 'ACCESS_DENIED';
+    result = { error: access.reason };
+  } else {
+    result = await withAccount(fromNumber, () => executeCommand(parsedCommand, { fromNumber, sessionId, media, baseUrl }));
+  }
+
+  // Drive calls fail with invalid_grant once the refresh token is revoked
+  if (result.error && TokenStore.isRevokedError({ message: result.error })) {
+    if (driveAccounts.isLinked(fromNumber)) {
+      result.error += '. Your linked Google account no longer allows access; send LINK to connect it again';
+    } else {
+      await checkGoogleAuth();
+    }
+  }
+
+  // Format response (pass command data for delete requests)
+  const responseMessage = notice + formatWhatsAppResponse(parsedCommand.command, result, parsedCommand);
+
+  // Send WhatsApp response
+  try {
+    // MORE sends the next held part, so the rest stays held
+    await sendWhatsAppMessage(fromNumber, responseMessage, result.mediaUrl, { keepHeld: parsedCommand.command === 'MORE' });
+  } catch (sendError) {
+    console.error('Error sending WhatsApp message:', sendError);
+    logger.logError(sendError, 'whatsapp_send', sessionId);
+  }
+
+  return true;
+}
+
+// Subscription handshake for channels that verify the webhook URL with a GET (Meta)
+app.get('/whatsapp-webhook', (req, res) => {
+  if (!channel.handleVerification(req, res)) {
+    res.status(404).send('Not found');
+  }
+});
+
+// Main webhook handler
+app.post('/whatsapp-webhook', verifyChannelSignature, async (req, res) => {
+  try {
+    console.log('Received WhatsApp webhook:', req.body);
+
+    // Meta can batch several messages into one call; status updates carry none
+    const messages = channel.parseInbound(req);
+    const baseUrl = getPublicBaseUrl(req);
+
+    let processed = 0;
+    for (const message of messages) {
+      if (await handleIncomingMessage(message, baseUrl)) {
+        processed++;
+      }
     }
 
+    if (processed === 0) {
+      return res.json({ status: 'ignored', message: 'No message body' });
+    }
     res.json({ status: 'success', message: 'Command processed' });
 
   } catch (error) {
@@ -653,23 +2407,69 @@ app.post('/whatsapp-webhook', async (req, res) => {
 
 // OAuth callback endpoint
 app.get('/auth/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   
   if (!code) {
     return res.send('Authorization failed - no code received');
   }
 
+  // Every authorization needs a state: from LINK for a number's own account, or from an
+  // admin's /auth/start link for the shared account
+  if (!state) {
+    logger.logSecurityEvent('google_authorization_rejected', { ip: req.ip, reason: 'no state' }, null);
+    return res.status(403).send('Authorization failed - no state received. Use the link from the server console or an admin alert.');
+  }
+
   try {
     // Initialize OAuth2 client with correct redirect URI for this request
     const client = initializeOAuth2Client(req);
+
+    // A LINK from WhatsApp: the signed state says which number the tokens belong to
+    const number = driveAccounts.verifyState(state, 'link');
+    if (number) {
+      const { tokens } = await client.getToken(code);
+      driveAccounts.link(number, tokens);
+      conversationState.update(number, { cwd: null, listing: null });
+      const account = await withAccount(number, getCurrentAccount);
+      const email = account.user ? account.user.emailAddress : 'your Google account';
+      logger.logSecurityEvent('account_linked', { fromNumber: number, email }, null);
+
+      try {
+        await sendWhatsAppMessage(PhoneNumber.toAddress(number), `✅ Linked to ${email}. Your commands now act on this account's Drive.`);
+      } catch (sendError) {
+        console.error('Error sending link confirmation:', sendError);
+      }
+      return res.send(`
+      <h2>Account linked</h2>
+      <p>WhatsApp number ${number} now acts on ${email}. You can close this page.</p>
+    `);
+    }
+
+    // Otherwise it must re-authorize the shared account with a state issued to an admin
+    const adminNumber = driveAccounts.verifyState(state, 'reauth');
+    if (!adminNumber) {
+      logger.logSecurityEvent('google_authorization_rejected', { ip: req.ip, reason: 'invalid state' }, null);
+      return res.status(403).send('Authorization failed - this link is invalid, expired or already used. Send LINK on WhatsApp, or ask an admin for a new authorization link.');
+    }
+
     const { tokens } = await client.getToken(code);
     
-    // Set credentials on global client
-    oauth2Client.setCredentials(tokens);
+    // Use the new tokens for Drive straight away and keep them for the next restart
+    oauth2Client.setCredentials({ ...oauth2Client.credentials, ...tokens });
+    authAlertSentAt = null;
+    logger.logSecurityEvent('google_authorized', { fromNumber: adminNumber, refreshToken: !!tokens.refresh_token }, null);
+
+    if (tokenStore.enabled) {
+      tokenStore.update(tokens);
+      return res.send(`
+      <h2>Authorization successful!</h2>
+      <p>The tokens were saved to the encrypted token store and Drive access is active. No restart is needed.</p>
+    `);
+    }
 
     res.send(`
       <h2>Authorization successful!</h2>
-      <p>Add these to your .env file:</p>
+      <p>Set TOKEN_STORE_KEY to keep tokens automatically. Until then, add these to your .env file:</p>
       <pre>
 GOOGLE_OAUTH_ACCESS_TOKEN=${tokens.access_token}
 GOOGLE_OAUTH_REFRESH_TOKEN=${tokens.refresh_token}
@@ -682,12 +2482,71 @@ GOOGLE_OAUTH_REFRESH_TOKEN=${tokens.refresh_token}
   }
 });
 
+// Time-limited file downloads for GET (also fetched by the messaging provider for media messages)
+app.get('/download/:token', async (req, res) => {
+  const entry = downloadLinks.get(req.params.token);
+  if (!entry) {
+    return res.status(410).send('This download link has expired or is invalid.');
+  }
+
+  const disposition = `attachment; filename*=UTF-8''${encodeURIComponent(entry.fileName)}`;
+  res.set('Content-Type', entry.mimeType);
+  res.set('Content-Disposition', disposition);
+
+  try {
+    if (entry.buffer) {
+      return res.send(entry.buffer);
+    }
+
+    const response = await withAccount(entry.accountNumber, () => drive.files.get(
+      { fileId: entry.fileId, alt: 'media' },
+      { responseType: 'stream' }
+    ));
+    response.data.on('error', (streamError) => {
+      console.error('Download stream error:', streamError);
+      res.destroy(streamError);
+    });
+    response.data.pipe(res);
+  } catch (error) {
+    console.error('Download error:', error);
+    logger.logError(error, 'file_download', null);
+    res.status(502).send('Unable to fetch the file from Google Drive.');
+  }
+});
+
+// Start (or redo) Google authorization for the shared account. Only the signed links in a
+// revoked-token alert or the startup console are accepted; the callback uses the state up.
+app.get('/auth/start', (req, res) => {
+  const { state } = req.query;
+  if (!driveAccounts.readState(state, 'reauth')) {
+    logger.logSecurityEvent('google_authorization_rejected', { ip: req.ip, reason: 'invalid start link' }, null);
+    return res.status(403).send('This authorization link is invalid, expired or already used. Use the link from the latest admin alert or the server console.');
+  }
+
+  const client = initializeOAuth2Client(req);
+  res.redirect(client.generateAuthUrl({
+    access_type: 'offline',
+    // Always ask for consent so Google issues a new refresh token
+    prompt: 'consent',
+    scope: GOOGLE_SCOPES,
+    state
+  }));
+});
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+// Add ?check=llm to also send the LLM provider a test prompt
+app.get('/health', async (req, res) => {
+  const llm = req.query.check === 'llm'
+    ? await llmProvider.healthCheck()
+    : { provider: llmProvider.name, model: llmProvider.model, configured: llmProvider.isConfigured() };
+
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version: '1.0.0',
+    channel: channel.name,
+    storage: (fileStorage || sharedWorkspace.storage).name,
+    llm
   });
 });
 
@@ -720,24 +2579,13 @@ app.get('/redirect-uri', (req, res) => {
 
 // Root endpoint with setup instructions
 app.get('/', (req, res) => {
-  // Initialize OAuth2 client with correct redirect URI
-  const client = initializeOAuth2Client(req);
-  
-  const authUrl = client.generateAuthUrl({
-    access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/drive',
-      'https://www.googleapis.com/auth/drive.file'
-    ]
-  });
-
   res.send(`
     <h1>WhatsApp Google Drive Assistant</h1>
     <h2>Setup Instructions</h2>
     <ol>
       <li>Set up your environment variables in .env file</li>
-      <li><a href="${authUrl}" target="_blank">Authorize Google Drive Access</a></li>
-      <li>Configure your Twilio webhook to: <code>${req.protocol}://${req.get('host')}/whatsapp-webhook</code></li>
+      <li>Authorize Google Drive access with the single-use link printed in the server console at startup, or run <code>node helpers/google-auth-setup.js</code></li>
+      <li>Configure your ${channel.name === 'meta' ? 'Meta' : 'Twilio'} webhook to: <code>${req.protocol}://${req.get('host')}/whatsapp-webhook</code></li>
       <li>Send 'HELP' to your WhatsApp number to test</li>
     </ol>
     <h2>Status</h2>
@@ -751,6 +2599,26 @@ app.listen(port, '0.0.0.0', () => {
   console.log(`🚀 WhatsApp Google Drive Assistant running on port ${port}`);
   console.log(`📝 Webhook URL: http://localhost:${port}/whatsapp-webhook`);
   console.log(`🔐 Setup at: http://localhost:${port}`);
+  jobQueue.start();
+
+  // Only whoever can read the console gets a link to authorize the shared account the first time
+  if (!oauth2Client.credentials.refresh_token) {
+    console.log(driveAccounts.enabled
+      ? `🔐 Authorize Google Drive (single use): ${process.env.PUBLIC_BASE_URL ? '' : `http://localhost:${port}`}${createReauthUrl('console')}`
+      : '🔐 Set TOKEN_STORE_KEY to authorize Google Drive from the browser, or run node helpers/google-auth-setup.js');
+  }
+
+  // Catch a revoked refresh token even when nobody is sending commands
+  const tokenCheckMinutes = parseInt(process.env.TOKEN_CHECK_MINUTES, 10) || 30;
+  checkGoogleAuth();
+  setInterval(checkGoogleAuth, tokenCheckMinutes * 60 * 1000).unref();
+
+  // The console channel reads commands from stdin instead of the webhook
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${port}`;
+  channel.start(message => handleIncomingMessage(message, baseUrl).catch(error => {
+    console.error('Console message error:', error);
+    logger.logError(error, 'webhook_processing', null);
+  }));
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AccessControl = require('../helpers/access-control');
+const DrivePathResolver = require('../helpers/drive-path-resolver');
+const StorageBackend = require('../helpers/storage-backend');
+
+const config = {
+    users: {
+        '+15550001111': 'viewer',
+        '+15550002222': { role: 'editor', name: 'Sam' },
+        '+15550003333': 'admin',
+        '+15550004444': 'owner'
+    },
+    roles: { editor: { folders: ['/Projects', '/Shared/Team'] } }
+};
+
+test('an unknown number is refused', () => {
+    const accessControl = new AccessControl({ config });
+
+    const access = accessControl.checkAccess('whatsapp:+15559999999', { command: 'LIST', folderPath: '/' });
+    assert.strictEqual(access.allowed, false);
+    assert.strictEqual(access.role, null);
+});
+
+test('each role may run its own commands and those of the roles below it', () => {
+    const accessControl = new AccessControl({ config });
+
+    assert.strictEqual(accessControl.checkAccess('whatsapp:+15550001111', { command: 'LIST', folderPath: '/' }).allowed, true);
+    assert.strictEqual(accessControl.checkAccess('whatsapp:+15550001111', { command: 'MOVE', sourcePath: 'a', destinationPath: 'b' }).allowed, false);
+    assert.strictEqual(accessControl.checkAccess('whatsapp:+15550003333', { command: 'MOVE', sourcePath: 'a', destinationPath: 'b' }).allowed, true);
+    assert.strictEqual(accessControl.checkAccess('whatsapp:+15550003333', { command: 'DELETE_REQUEST', filePath: 'a' }).allowed, true);
+});
+
+test('numbers match whatever formatting the config and the sender use', () => {
+    const accessControl = new AccessControl({ config: { users: { '+1 (555) 000-1111': 'viewer' } } });
+
+    assert.strictEqual(accessControl.getUser('whatsapp:+15550001111').role, 'viewer');
+});
+
+test('an entry with an unknown role is ignored', () => {
+    const accessControl = new AccessControl({ config });
+
+    assert.strictEqual(accessControl.getUser('whatsapp:+15550004444'), null);
+});
+
+test('folder limits allow the folders and what is inside them, ignoring case', () => {
+    const accessControl = new AccessControl({ config });
+    const editor = 'whatsapp:+15550002222';
+
+    assert.strictEqual(accessControl.checkAccess(editor, { command: 'LIST', folderPath: '/projects/2024' }).allowed, true);
+    assert.strictEqual(accessControl.checkAccess(editor, { command: 'MOVE', sourcePath: '/Projects/a.txt', destinationPath: '/Shared/Team' }).allowed, true);
+    assert.strictEqual(accessControl.checkAccess(editor, { command: 'MOVE', sourcePath: '/Projects/a.txt', destinationPath: '/Shared' }).allowed, false);
+    assert.strictEqual(accessControl.checkAccess(editor, { command: 'LIST', folderPath: '/Projects-old' }).allowed, false);
+});
+
+test('without a config every sender is an admin', () => {
+    const accessControl = new AccessControl({ configFile: '/nonexistent/access-control.json' });
+
+    assert.deepStrictEqual(accessControl.checkAccess('whatsapp:+15559999999', { command: 'DELETE_REQUEST', filePath: 'a' }), { allowed: true, role: 'admin' });
+});
+
+test('numbers can be looked up by role', () => {
+    const accessControl = new AccessControl({ config });
+
+    assert.deepStrictEqual(accessControl.getNumbersWithRole('admin'), ['+15550003333']);
+    assert.deepStrictEqual(accessControl.getNumbersWithRole('nobody'), []);
+});
+
+const VIEWER = 'whatsapp:+15550001111';
+const ADMIN = 'whatsapp:+15550002222';
+const EDITOR = 'whatsapp:+15550003333';
+
+function setup(fromNumber) {
+    const accessControl = new AccessControl({
+        config: {
+            users: { '+15550001111': 'viewer', '+15550002222': 'admin', '+15550003333': 'editor' },
+            roles: { viewer: { folders: ['/Reports'] }, editor: { folders: ['/Reports'] } }
+        }
+    });
+    const storage = new StorageBackend.MemoryBackend({
+        fixtures: {
+            '/Reports/q3.txt': 'q3',
+            '/Private/Reports/salaries.txt': 'salaries',
+            '/Private/plans.txt': 'plans'
+        }
+    });
+    const pathResolver = new DrivePathResolver(storage, { getPathFilter: () => accessControl.getPathFilter(fromNumber) });
+    return { accessControl, storage, pathResolver };
+}
+
+test('checkAccess refuses an absolute path outside the allowed folders', () => {
+    const { accessControl } = setup(VIEWER);
+
+    assert.strictEqual(accessControl.checkAccess(VIEWER, { command: 'LIST', folderPath: '/Private' }).allowed, false);
+    assert.strictEqual(accessControl.checkAccess(VIEWER, { command: 'LIST', folderPath: '/Reports/2024' }).allowed, true);
+});
+
+test('checkAccess still refuses commands outside the role', () => {
+    const { accessControl } = setup(VIEWER);
+
+    assert.strictEqual(accessControl.checkAccess(VIEWER, { command: 'MOVE', sourcePath: '/Reports/q3.txt', destinationPath: '/Reports' }).allowed, false);
+});
+
+test('a bare name outside the allowed folders is refused', async () => {
+    const { pathResolver } = setup(VIEWER);
+
+    const result = await pathResolver.resolve('plans.txt');
+    assert.ok(result.error);
+    assert.strictEqual(result.denied, true);
+    assert.strictEqual(result.file, undefined);
+});
+
+test('creating a folder outside the allowed folders is refused as a denial', async () => {
+    const { pathResolver, storage } = setup(VIEWER);
+
+    const result = await pathResolver.createFolderPath('/Private/New');
+    assert.strictEqual(result.denied, true);
+    assert.deepStrictEqual(await storage.findByName('New', { folderOnly: true }), []);
+});
+
+test('a missing name inside the allowed folders is not a denial', async () => {
+    const { pathResolver } = setup(VIEWER);
+
+    const result = await pathResolver.resolve('/Reports/missing.txt');
+    assert.ok(result.error);
+    assert.strictEqual(result.denied, undefined);
+});
+
+test('a bare name only offers matches inside the allowed folders', async () => {
+    const { pathResolver } = setup(VIEWER);
+
+    const result = await pathResolver.resolve('Reports', { folderOnly: true });
+    assert.strictEqual(result.candidates, undefined);
+    assert.strictEqual(result.file.name, 'Reports');
+    assert.strictEqual(await pathResolver.getPath(result.file.id), '/Reports');
+});
+
+test('an id: path outside the allowed folders is refused', async () => {
+    const { pathResolver, storage } = setup(VIEWER);
+    const [privateReports] = (await storage.findByName('Reports')).filter(file => file.parents[0] !== 'root');
+
+    const result = await pathResolver.resolve(`id:${privateReports.id}`, { folderOnly: true });
+    assert.strictEqual(result.denied, true);
+    assert.strictEqual(result.file, undefined);
+});
+
+test('only trash from the allowed folders is offered to a limited editor', async () => {
+    const { accessControl, pathResolver, storage } = setup(EDITOR);
+    assert.strictEqual(accessControl.checkAccess(EDITOR, { command: 'RESTORE', filePath: 'plans.txt' }).allowed, true);
+    for (const name of ['q3.txt', 'plans.txt', 'salaries.txt']) {
+        const [file] = await storage.findByName(name);
+        await storage.trashFile(file.id);
+    }
+
+    const trash = await pathResolver.filterTrashed(await storage.listTrash());
+    assert.deepStrictEqual(trash.map(file => file.name), ['q3.txt']);
+    assert.deepStrictEqual(await pathResolver.filterTrashed(await storage.listTrash({ name: 'plans.txt' })), []);
+});
+
+test('a sender without folder limits sees every match', async () => {
+    const { pathResolver } = setup(ADMIN);
+
+    const result = await pathResolver.resolve('Reports', { folderOnly: true });
+    assert.deepStrictEqual(result.candidates.map(candidate => candidate.path).sort(), ['/Private/Reports', '/Reports']);
+});
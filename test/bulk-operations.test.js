@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BulkOperations = require('../helpers/bulk-operations');
+const StorageBackend = require('../helpers/storage-backend');
+const createFakeDrive = require('./fake-drive');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-operations-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function setup(handlers = {}, options = {}) {
+    const drive = createFakeDrive();
+    const stateFile = options.stateFile || path.join(tmpDir, `jobs-${Math.random().toString(36).slice(2)}.json`);
+    const bulk = new BulkOperations(new StorageBackend.GoogleDriveBackend(drive), handlers, { batchSize: 2, ...options, stateFile });
+    return { drive, bulk, stateFile };
+}
+
+test('glob patterns match whole names, ignoring case', () => {
+    const { bulk } = setup();
+    const matcher = bulk.toRegExp('report-??.pdf');
+
+    assert.strictEqual(matcher.test('Report-01.PDF'), true);
+    assert.strictEqual(matcher.test('report-1.pdf'), false);
+    assert.strictEqual(bulk.toRegExp('*.pdf').test('notes.pdf.txt'), false);
+    assert.strictEqual(bulk.toRegExp('a+b (1).*').test('a+b (1).txt'), true);
+});
+
+test('only files directly in the folder are matched', async () => {
+    const { drive, bulk } = setup();
+    const add = async (name, parent, mimeType = 'application/pdf') =>
+        (await drive.files.create({ requestBody: { name, mimeType, parents: [parent] } })).data;
+    const inbox = await add('Inbox', 'root', StorageBackend.FOLDER_MIME_TYPE);
+    await add('a.pdf', inbox.id);
+    await add('b.PDF', inbox.id);
+    await add('c.docx', inbox.id, 'text/plain');
+    await add('nested.pdf', inbox.id, StorageBackend.FOLDER_MIME_TYPE);
+
+    const matches = await bulk.findMatches(inbox.id, '*.pdf');
+
+    assert.deepStrictEqual(matches.map(match => match.name), ['a.pdf', 'b.PDF']);
+});
+
+test('failures are recorded per file and the finished job is removed', async () => {
+    const done = [];
+    const { bulk, stateFile } = setup({
+        move: async item => {
+            if (item.name === 'bad.pdf') {
+                throw new Error('Permission denied');
+            }
+            done.push(item.name);
+        }
+    });
+    const job = bulk.createJob('+15550001111', 'move', [{ id: '1', name: 'a.pdf' }, { id: '2', name: 'bad.pdf' }, { id: '3', name: 'c.pdf' }]);
+
+    const finished = await bulk.run(job.id);
+
+    assert.deepStrictEqual(done, ['a.pdf', 'c.pdf']);
+    assert.deepStrictEqual(finished.items.map(item => item.status), ['done', 'failed', 'done']);
+    assert.strictEqual(finished.items[1].error, 'Permission denied');
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')), {});
+});
+
+test('an interrupted job is found again after a restart and resumes with the pending files', async () => {
+    const stateFile = path.join(tmpDir, 'interrupted.json');
+    const first = setup({ move: async () => {} }, { stateFile }).bulk;
+    const job = first.createJob('+15550001111', 'move', [{ id: '1', name: 'a.pdf' }, { id: '2', name: 'b.pdf' }]);
+    job.items[0].status = 'done';
+    first.save();
+
+    const handled = [];
+    const restarted = setup({ move: async item => handled.push(item.name) }, { stateFile }).bulk;
+
+    assert.strictEqual(restarted.findUnfinished('+15550001111').id, job.id);
+    assert.strictEqual(restarted.findUnfinished('+15550002222'), null);
+    await restarted.run(job.id);
+    assert.deepStrictEqual(handled, ['b.pdf']);
+});
+
+test('progress is reported per batch and a cancel leaves the rest undone', async () => {
+    const { bulk } = setup({ move: async () => {} });
+    const job = bulk.createJob('+15550001111', 'move', ['a', 'b', 'c', 'd', 'e'].map((name, id) => ({ id: String(id), name })));
+    const progress = [];
+
+    const finished = await bulk.run(job.id, {
+        progress: (done, total) => progress.push(`${done}/${total}`),
+        isCancelled: () => progress.length === 1
+    });
+
+    assert.deepStrictEqual(progress, ['2/5']);
+    assert.deepStrictEqual(finished.items.map(item => item.status), ['done', 'done', 'cancelled', 'cancelled', 'cancelled']);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const ChannelAdapter = require('../helpers/channel-adapters');
+
+const { TwilioChannel, MetaWhatsAppChannel, ConsoleChannel } = ChannelAdapter;
+
+// Express request stand-in with the parts the channels read
+function request({ body = {}, headers = {}, query = {}, rawBody } = {}) {
+    return { body, query, rawBody, get: name => headers[name.toLowerCase()] };
+}
+
+test('Twilio webhooks become messages with their attachments', () => {
+    const channel = new TwilioChannel({ accountSid: `AC${'0'.repeat(32)}`, authToken: 'token', skipSignature: true });
+
+    const messages = channel.parseInbound(request({
+        body: { From: 'whatsapp:+1 555 000 1111', Body: 'SAVE TO Receipts', MessageSid: 'SM1', NumMedia: '1', MediaUrl0: 'https://api.twilio.com/m/0', MediaContentType0: 'image/jpeg' }
+    }));
+
+    assert.deepStrictEqual(messages, [{
+        fromNumber: 'whatsapp:+15550001111',
+        body: 'SAVE TO Receipts',
+        messageId: 'SM1',
+        media: [{ url: 'https://api.twilio.com/m/0', contentType: 'image/jpeg' }]
+    }]);
+    assert.deepStrictEqual(channel.parseInbound(request({ body: { MessageStatus: 'delivered' } })), []);
+});
+
+test('Meta webhooks need a valid signature over the raw body', () => {
+    const channel = new MetaWhatsAppChannel({ appSecret: 'app-secret' });
+    const rawBody = Buffer.from('{"entry":[]}');
+    const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(rawBody).digest('hex')}`;
+
+    assert.strictEqual(channel.verifyRequest(request({ rawBody, headers: { 'x-hub-signature-256': signature } })), null);
+    assert.strictEqual(channel.verifyRequest(request({ rawBody, headers: { 'x-hub-signature-256': 'sha256=00' } })).event, 'meta_signature_invalid');
+    assert.strictEqual(channel.verifyRequest(request({ rawBody })).event, 'meta_signature_missing');
+    assert.strictEqual(new MetaWhatsAppChannel({}).verifyRequest(request({ rawBody })).event, 'meta_signature_unverifiable');
+});
+
+test('Meta text and media messages share one shape', () => {
+    const channel = new MetaWhatsAppChannel({ appSecret: 'app-secret' });
+
+    const messages = channel.parseInbound(request({
+        body: {
+            entry: [{
+                changes: [{
+                    value: {
+                        messages: [
+                            { from: '15550001111', id: 'wamid.1', type: 'text', text: { body: 'LIST /' } },
+                            { from: '15550001111', id: 'wamid.2', type: 'document', document: { id: 'media-9', mime_type: 'application/pdf', caption: 'SAVE' } }
+                        ]
+                    }
+                }, { value: { statuses: [{ status: 'read' }] } }]
+            }]
+        }
+    }));
+
+    assert.deepStrictEqual(messages, [
+        { fromNumber: 'whatsapp:+15550001111', body: 'LIST /', messageId: 'wamid.1', media: [] },
+        { fromNumber: 'whatsapp:+15550001111', body: 'SAVE', messageId: 'wamid.2', media: [{ id: 'media-9', contentType: 'application/pdf' }] }
+    ]);
+});
+
+test('the Meta subscription handshake echoes the challenge only for our token', () => {
+    const channel = new MetaWhatsAppChannel({ verifyToken: 'verify-me' });
+    const response = () => ({ status(code) { this.code = code; return this; }, send(text) { this.text = text; } });
+    const accepted = response();
+    const refused = response();
+
+    assert.strictEqual(channel.handleVerification(request({ query: { 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '42' } }), accepted), true);
+    channel.handleVerification(request({ query: { 'hub.mode': 'subscribe', 'hub.verify_token': 'guess' } }), refused);
+
+    assert.deepStrictEqual([accepted.code, accepted.text], [200, '42']);
+    assert.strictEqual(refused.code, 403);
+    assert.strictEqual(channel.handleVerification(request(), response()), false);
+});
+
+test('console lines are handled one at a time and replies are printed', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const channel = new ConsoleChannel({ fromNumber: '+15550001111', input, output });
+    const received = [];
+    let printed = '';
+    output.on('data', chunk => { printed += chunk; });
+
+    channel.start(async message => {
+        received.push(message);
+        await channel.send(message.fromNumber, `You said ${message.body}`);
+    });
+    input.end('HELP\n\nPWD\n');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepStrictEqual(received.map(message => [message.fromNumber, message.body, message.messageId]), [
+        ['whatsapp:+15550001111', 'HELP', 'console-1'],
+        ['whatsapp:+15550001111', 'PWD', 'console-2']
+    ]);
+    assert.ok(printed.indexOf('You said HELP') < printed.indexOf('You said PWD'));
+});
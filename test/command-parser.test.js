@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandParser = require('../helpers/command-parser');
+
+const parser = new CommandParser();
+
+test('keywords ignore case while arguments keep theirs', () => {
+    assert.deepStrictEqual(parser.parse('list /Reports/Q3'), { command: 'LIST', folderPath: '/Reports/Q3', page: 1 });
+});
+
+test('quoted names keep their spaces and may contain keywords', () => {
+    const parsed = parser.parse('MOVE "Move to archive.txt" TO "Old Files"');
+
+    assert.strictEqual(parsed.sourcePath, 'Move to archive.txt');
+    assert.strictEqual(parsed.destinationPath, 'Old Files');
+});
+
+test('PAGE is split off a listing', () => {
+    assert.deepStrictEqual(parser.parse('LIST Reports PAGE 3'), { command: 'LIST', folderPath: 'Reports', page: 3 });
+    assert.strictEqual(parser.parse('LIST Reports PAGE x').command, 'PARSE_ERROR');
+});
+
+test('DELETE asks for a confirmation, PERMANENT asks for a purge', () => {
+    assert.deepStrictEqual(parser.parse('delete report.pdf'), { command: 'DELETE_REQUEST', filePath: 'report.pdf' });
+    assert.deepStrictEqual(parser.parse('DELETE report.pdf PERMANENT'), { command: 'PURGE_REQUEST', filePath: 'report.pdf' });
+});
+
+test('a malformed command points at the offending token', () => {
+    const unclosed = parser.parse('MOVE "report.pdf TO Archive');
+    const missing = parser.parse('MOVE report.pdf TO');
+
+    assert.strictEqual(unclosed.command, 'PARSE_ERROR');
+    assert.match(unclosed.error, /closing quote/);
+    assert.strictEqual(missing.command, 'PARSE_ERROR');
+    assert.strictEqual(missing.token.value, 'TO');
+});
+
+test('a lone number is a pick and anything else unknown', () => {
+    assert.deepStrictEqual(parser.parse('2'), { command: 'PICK', index: 2 });
+    assert.deepStrictEqual(parser.parse('hello there'), { command: 'UNKNOWN' });
+});
+
+test('ASK takes a quoted name with spaces and the rest as the question', () => {
+    const parsed = parser.parse('ASK "Q3 Report.pdf" When does it end?');
+
+    assert.strictEqual(parsed.command, 'ASK');
+    assert.strictEqual(parsed.folderPath, 'Q3 Report.pdf');
+    assert.strictEqual(parsed.question, 'When does it end?');
+});
+
+test('ASK refuses an unquoted name instead of guessing where it ends', () => {
+    const parsed = parser.parse('ASK Q3 Report.pdf When does it end?');
+
+    assert.strictEqual(parsed.command, 'PARSE_ERROR');
+    assert.match(parsed.error, /quotes/);
+});
+
+test('ASK accepts a bare listing number', () => {
+    const parsed = parser.parse('ASK 2 When does it end?');
+
+    assert.strictEqual(parsed.folderPath, '2');
+    assert.strictEqual(parsed.question, 'When does it end?');
+});
+
+test('SEARCH splits filters from the words to look for', () => {
+    const parsed = parser.parse('SEARCH invoice acme type:PDF modified:<2w in:"Client Docs" PAGE 2');
+
+    assert.strictEqual(parsed.terms, 'invoice acme');
+    assert.deepStrictEqual(parsed.filters, {
+        type: 'pdf',
+        modified: { newer: true, days: 14, label: '<2w' },
+        in: 'Client Docs'
+    });
+    assert.strictEqual(parsed.folderPath, 'Client Docs');
+    assert.strictEqual(parsed.queryText, 'invoice acme type:PDF modified:<2w in:"Client Docs"');
+    assert.strictEqual(parsed.page, 2);
+});
+
+test('SEARCH rejects unknown types, bad ages and empty searches', () => {
+    assert.strictEqual(parser.parse('SEARCH type:exe').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SEARCH report modified:soon').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SEARCH owner:bob').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SEARCH').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SEARCH owner:me').folderPath, '/');
+});
+
+test('SAVE reads an optional folder and file name from the caption', () => {
+    assert.deepStrictEqual(parser.parse('SAVE TO Receipts/2024 AS March lunch'), {
+        command: 'SAVE',
+        folderPath: 'Receipts/2024',
+        fileName: 'March lunch'
+    });
+    assert.deepStrictEqual(parser.parse('save'), { command: 'SAVE', folderPath: null, fileName: null });
+    assert.strictEqual(parser.parse('SAVE TO').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SAVE Receipts AS').command, 'PARSE_ERROR');
+});
+
+test('GET takes the whole name as typed', () => {
+    assert.deepStrictEqual(parser.parse('get Q3 report.pdf'), { command: 'GET', filePath: 'Q3 report.pdf' });
+    assert.strictEqual(parser.parse('GET').command, 'PARSE_ERROR');
+});
+
+test('SHARE defaults to viewer and lower-cases the email', () => {
+    assert.deepStrictEqual(parser.parse('SHARE "Client Docs" WITH Ann@Example.com'), {
+        command: 'SHARE',
+        filePath: 'Client Docs',
+        email: 'ann@example.com',
+        role: 'viewer',
+        quotedPaths: ['filePath']
+    });
+    assert.strictEqual(parser.parse('share Reports with ann@example.com as EDITOR').role, 'editor');
+    assert.strictEqual(parser.parse('SHARE Reports WITH ann@example.com AS owner').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SHARE Reports WITH ann').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('SHARE WITH ann@example.com').command, 'PARSE_ERROR');
+});
+
+test('UNSHARE ends with an email and WHO takes a name', () => {
+    assert.deepStrictEqual(parser.parse('UNSHARE Q3 report.pdf ann@example.com'), {
+        command: 'UNSHARE',
+        filePath: 'Q3 report.pdf',
+        email: 'ann@example.com'
+    });
+    assert.strictEqual(parser.parse('UNSHARE Reports').command, 'PARSE_ERROR');
+    assert.deepStrictEqual(parser.parse('WHO /Clients/Acme'), { command: 'WHO', filePath: '/Clients/Acme' });
+});
+
+test('RENAME, COPY and MKDIR take names as typed', () => {
+    assert.deepStrictEqual(parser.parse('RENAME draft.docx TO "Final report.docx"'), {
+        command: 'RENAME',
+        filePath: 'draft.docx',
+        newName: 'Final report.docx'
+    });
+    assert.deepStrictEqual(parser.parse('copy report.pdf Archive'), {
+        command: 'COPY',
+        sourcePath: 'report.pdf',
+        destinationPath: 'Archive'
+    });
+    assert.deepStrictEqual(parser.parse('MKDIR /Clients/Acme 2024'), { command: 'MKDIR', folderPath: '/Clients/Acme 2024' });
+});
+
+test('RENAME refuses a new name with a folder in it', () => {
+    const parsed = parser.parse('RENAME draft.docx TO Archive/final.docx');
+
+    assert.strictEqual(parsed.command, 'PARSE_ERROR');
+    assert.match(parsed.error, /Use MOVE/);
+    assert.match(parser.parse('COPY TO Archive').error, /Missing the file to copy before TO/);
+});
+
+test('wildcards in MOVE and DELETE split off the folder', () => {
+    assert.deepStrictEqual(parser.parse('MOVE Inbox/*.pdf TO Archive'), {
+        command: 'MOVE',
+        sourcePath: 'Inbox',
+        pattern: '*.pdf',
+        destinationPath: 'Archive'
+    });
+    assert.deepStrictEqual(parser.parse('DELETE report-??.docx PERMANENT'), {
+        command: 'PURGE_REQUEST',
+        filePath: '.',
+        pattern: 'report-??.docx'
+    });
+    assert.strictEqual(parser.parse('DELETE In*/a.pdf').command, 'PARSE_ERROR');
+    assert.deepStrictEqual(parser.parse('RESUME'), { command: 'RESUME' });
+});
+
+test('CANCEL takes one job ID and STATUS none', () => {
+    assert.deepStrictEqual(parser.parse('cancel 3FA9C1'), { command: 'CANCEL', jobId: '3fa9c1' });
+    assert.strictEqual(parser.parse('CANCEL').command, 'PARSE_ERROR');
+    assert.strictEqual(parser.parse('STATUS all').command, 'PARSE_ERROR');
+});
+
+test('a trailing FRESH skips the summary cache', () => {
+    assert.deepStrictEqual(parser.parse('SUMMARY Reports FRESH'), { command: 'SUMMARY', folderPath: 'Reports', fresh: true });
+    assert.deepStrictEqual(parser.parse('SUMMARY FRESH'), { command: 'SUMMARY', folderPath: 'FRESH', fresh: false });
+});
+
+test('MORE takes no arguments', () => {
+    assert.deepStrictEqual(parser.parse('more'), { command: 'MORE' });
+    assert.strictEqual(parser.parse('MORE please').command, 'PARSE_ERROR');
+});
+
+test('a bare LIST leaves the folder to the working folder', () => {
+    assert.deepStrictEqual(parser.parse('LIST'), { command: 'LIST', folderPath: null, page: 1 });
+    assert.deepStrictEqual(parser.parse('CD ..'), { command: 'CD', folderPath: '..' });
+    assert.strictEqual(parser.parse('CD').command, 'PARSE_ERROR');
+    assert.deepStrictEqual(parser.parse('pwd'), { command: 'PWD' });
+});
+
+test('LINK, UNLINK and WHOAMI take no arguments', () => {
+    assert.deepStrictEqual(parser.parse('link'), { command: 'LINK' });
+    assert.deepStrictEqual(parser.parse('WhoAmI'), { command: 'WHOAMI' });
+    assert.match(parser.parse('UNLINK now').error, /UNLINK takes no arguments/);
+});
+
+test('quoted paths are listed in quotedPaths', () => {
+    assert.deepStrictEqual(parser.parse('MOVE 2 TO "2024"').quotedPaths, ['destinationPath']);
+    assert.strictEqual(parser.parse('GET 2').quotedPaths, undefined);
+});
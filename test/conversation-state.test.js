@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandParser = require('../helpers/command-parser');
+const ConversationState = require('../helpers/conversation-state');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-state-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const FROM = 'whatsapp:+15550001111';
+const parser = new CommandParser();
+
+function setup(stateFile = path.join(tmpDir, `state-${Math.random().toString(36).slice(2)}.json`)) {
+    return new ConversationState({ stateFile, ttlMinutes: 60 });
+}
+
+function withListing() {
+    const state = setup();
+    state.setListing(FROM, '/Reports', [
+        { id: 'a1', name: 'q3.pdf', mimeType: 'application/pdf' },
+        { id: 'a2', name: '2024', mimeType: 'application/vnd.google-apps.folder' }
+    ]);
+    return state;
+}
+
+function resolve(state, message) {
+    const parsedCommand = parser.parse(message);
+    state.resolveArguments(FROM, parsedCommand);
+    return parsedCommand;
+}
+
+test('relative paths follow the working folder, bare names only for CD and MKDIR', () => {
+    const state = setup();
+    state.setCwd(FROM, { id: 'acme', path: '/Clients/Acme' });
+
+    const move = { command: 'MOVE', sourcePath: '../Beta/q3.pdf', destinationPath: 'Archive' };
+    const mkdir = { command: 'MKDIR', folderPath: '2024' };
+    const list = { command: 'LIST', folderPath: null, page: 1 };
+    state.resolveArguments(FROM, move);
+    state.resolveArguments(FROM, mkdir);
+    state.resolveArguments(FROM, list);
+
+    assert.deepStrictEqual(move, { command: 'MOVE', sourcePath: '/Clients/Beta/q3.pdf', destinationPath: 'Archive' });
+    assert.strictEqual(mkdir.folderPath, '/Clients/Acme/2024');
+    assert.strictEqual(list.folderPath, '/Clients/Acme');
+});
+
+test('a listing number becomes the ID of the listed item', () => {
+    assert.strictEqual(resolve(withListing(), 'GET 1').filePath, 'id:a1');
+    assert.strictEqual(resolve(withListing(), 'MOVE 1 TO 2').destinationPath, 'id:a2');
+});
+
+test('a quoted number is a name', () => {
+    assert.strictEqual(resolve(withListing(), 'GET "1"').filePath, '1');
+});
+
+test('a number outside the listing is a name', () => {
+    assert.strictEqual(resolve(withListing(), 'GET 2024').filePath, '2024');
+    assert.strictEqual(resolve(withListing(), 'CD 2024').folderPath, '/2024');
+});
+
+test('CD / clears the working folder and paths can climb to the root', () => {
+    const state = setup();
+
+    state.setCwd(FROM, { id: 'root', path: '/' });
+
+    assert.strictEqual(state.get(FROM).cwd, null);
+    assert.strictEqual(state.joinPath('/Clients/Acme', '../../..'), '/');
+    assert.strictEqual(state.joinPath('/Clients', './Acme/'), '/Clients/Acme');
+});
+
+test('the working folder follows the sender however their number is written', () => {
+    const state = setup();
+
+    state.setCwd(FROM, { id: 'acme', path: '/Clients/Acme' });
+
+    assert.strictEqual(state.get('15550001111').cwd.path, '/Clients/Acme');
+});
+
+test('state survives a restart but not a long silence', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+    const stateFile = path.join(tmpDir, 'restart.json');
+    setup(stateFile).setCwd('+1 555 000 1111', { id: 'acme', path: '/Clients/Acme' });
+
+    assert.strictEqual(setup(stateFile).get(FROM).cwd.path, '/Clients/Acme');
+
+    t.mock.timers.tick(61 * 60 * 1000);
+    assert.deepStrictEqual(setup(stateFile).get(FROM), { cwd: null, listing: null });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DocumentQA = require('../helpers/document-qa');
+const LLMProvider = require('../helpers/llm-provider');
+
+test('passages follow line breaks and hard-cut very long lines', () => {
+    const qa = new DocumentQA(async () => '', { passageChars: 10 });
+
+    assert.deepStrictEqual(qa.splitPassages('a.txt', 'one\ntwo\nthree four').map(passage => passage.text), ['one\ntwo', 'three four']);
+    assert.deepStrictEqual(qa.splitPassages('b.txt', 'x'.repeat(25)).map(passage => passage.text.length), [10, 15]);
+});
+
+test('passages are ranked by the question terms, ignoring stop words', () => {
+    const qa = new DocumentQA(async () => '', { maxPassages: 2 });
+    const passages = [
+        { fileName: 'menu.txt', text: 'Lunch is served from noon.' },
+        { fileName: 'lease.txt', text: 'The lease ends in June. The lease may be renewed.' },
+        { fileName: 'notes.txt', text: 'Renewal of the lease is pending.' }
+    ];
+
+    const ranked = qa.rankPassages('When does the lease end?', passages);
+
+    assert.deepStrictEqual(ranked.map(passage => passage.fileName), ['lease.txt', 'notes.txt']);
+    assert.deepStrictEqual(qa.rankPassages('what is the', passages), []);
+});
+
+test('long quotes are shortened and quotes from other files dropped', () => {
+    const qa = new DocumentQA(async () => '', { maxQuoteChars: 12 });
+    const passages = [{ fileName: 'lease.txt', text: 'The office lease ends on 30 June 2025.' }];
+
+    const citations = qa.verifyCitations([
+        { file: 'lease.txt', quote: 'office lease ends on 30 June' },
+        { file: 'menu.txt', quote: 'office lease' }
+    ], passages);
+
+    assert.deepStrictEqual(citations, [{ file: 'lease.txt', quote: 'office le...' }]);
+});
+
+const documents = [
+    { fileName: 'lease.txt', text: 'The office lease ends on 30 June 2025 and can be renewed for two years.' },
+    { fileName: 'menu.txt', text: 'Lunch is served from noon. Soup changes daily.' }
+];
+
+function setup(answer) {
+    const provider = new LLMProvider.MockProvider({ rules: [{ match: 'Question:', text: JSON.stringify(answer) }] });
+    return { provider, qa: new DocumentQA((prompt, options) => provider.generate(prompt, options)) };
+}
+
+test('an answer is kept when its quote is found in the cited file', async () => {
+    const { provider, qa } = setup({
+        found: true,
+        answer: '30 June 2025',
+        citations: [{ file: 'lease.txt', quote: 'lease ends on 30 June 2025' }]
+    });
+
+    const result = await qa.ask('When does the lease end?', documents);
+
+    assert.strictEqual(result.found, true);
+    assert.strictEqual(result.answer, '30 June 2025');
+    assert.deepStrictEqual(result.citations, [{ file: 'lease.txt', quote: 'lease ends on 30 June 2025' }]);
+    assert.strictEqual(provider.calls[0].options.responseSchema, DocumentQA.RESPONSE_SCHEMA);
+    assert.doesNotMatch(provider.calls[0].prompt, /Soup changes daily/);
+});
+
+test('an answer whose quote is not in the documents is treated as not found', async () => {
+    const { qa } = setup({
+        found: true,
+        answer: '31 December 2030',
+        citations: [{ file: 'lease.txt', quote: 'lease ends on 31 December 2030' }]
+    });
+
+    const result = await qa.ask('When does the lease end?', documents);
+
+    assert.strictEqual(result.found, false);
+    assert.deepStrictEqual(result.citations, []);
+});
+
+test('a question matching no passage never reaches the model', async () => {
+    const { provider, qa } = setup({ found: false });
+
+    const result = await qa.ask('Who won the football?', documents);
+
+    assert.strictEqual(result.found, false);
+    assert.strictEqual(provider.calls.length, 0);
+});
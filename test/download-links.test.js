@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DownloadLinks = require('../helpers/download-links');
+
+test('a link serves its entry until it expires', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const links = new DownloadLinks({ ttlSeconds: 60 });
+
+    const { token, expiresAt } = links.create({ fileId: 'f1', name: 'report.pdf' });
+
+    assert.match(token, /^[\w-]{32}$/);
+    assert.strictEqual(expiresAt, 60 * 1000);
+    assert.strictEqual(links.get(token).fileId, 'f1');
+
+    t.mock.timers.tick(60 * 1000 + 1);
+    assert.strictEqual(links.get(token), null);
+    assert.strictEqual(links.links.size, 0);
+});
+
+test('unknown tokens find nothing and sweeps drop expired links only', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const links = new DownloadLinks({ ttlSeconds: 60 });
+
+    const short = links.create({ fileId: 'a' }, 10);
+    const long = links.create({ fileId: 'b' });
+    t.mock.timers.tick(30 * 1000);
+    links.sweepExpired();
+
+    assert.strictEqual(links.get('nope'), null);
+    assert.strictEqual(links.links.has(short.token), false);
+    assert.strictEqual(links.get(long.token).fileId, 'b');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DriveAccounts = require('../helpers/drive-accounts');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-accounts-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// OAuth2 client stand-in that records what the accounts helper does with it
+function createAuthClient(revoked = []) {
+    return {
+        listeners: {},
+        setCredentials(credentials) {
+            this.credentials = credentials;
+        },
+        on(event, listener) {
+            this.listeners[event] = listener;
+        },
+        async revokeToken(token) {
+            revoked.push(token);
+        }
+    };
+}
+
+function setup(revoked = [], usedStatesFile = path.join(tmpDir, `used-${Math.random().toString(36).slice(2)}.json`)) {
+    const saved = [];
+    const store = { enabled: true, load: () => ({}), save: accounts => saved.push(JSON.parse(JSON.stringify(accounts))) };
+    const accounts = new DriveAccounts(() => createAuthClient(revoked), auth => ({ drive: { auth } }), { secret: 'test-secret', store, usedStatesFile });
+    return { accounts, saved };
+}
+
+test('a state works once, for the number it was issued to', () => {
+    const { accounts } = setup();
+    const state = accounts.createState('whatsapp:+15550001111');
+
+    assert.strictEqual(accounts.verifyState(state), '+15550001111');
+    assert.strictEqual(accounts.verifyState(state), null);
+});
+
+test('a state signed with another secret is refused', () => {
+    const { accounts } = setup();
+    const other = new DriveAccounts(() => null, () => null, { secret: 'other-secret', store: { enabled: true, load: () => ({}) } });
+
+    assert.strictEqual(accounts.verifyState(other.createState('+15550001111')), null);
+    assert.strictEqual(accounts.verifyState('not-a-state'), null);
+});
+
+test('a LINK state cannot authorize the shared account, nor the other way round', () => {
+    const { accounts } = setup();
+    const linkState = accounts.createState('+15550001111');
+    const reauthState = accounts.createState('+15550002222', 'reauth');
+
+    assert.strictEqual(accounts.verifyState(linkState, 'reauth'), null);
+    assert.strictEqual(accounts.verifyState(reauthState, 'link'), null);
+    assert.strictEqual(accounts.verifyState(reauthState, 'reauth'), '+15550002222');
+});
+
+test('readState leaves the state usable', () => {
+    const { accounts } = setup();
+    const state = accounts.createState('+15550002222', 'reauth');
+
+    assert.strictEqual(accounts.readState(state, 'reauth'), '+15550002222');
+    assert.strictEqual(accounts.verifyState(state, 'reauth'), '+15550002222');
+    assert.strictEqual(accounts.readState(state, 'reauth'), null);
+});
+
+test('forged and expired states are refused', () => {
+    const { accounts } = setup();
+    const [payload] = accounts.createState('+15550001111', 'reauth').split('.');
+    const expired = accounts.createState('+15550001111', 'reauth', -1);
+
+    assert.strictEqual(accounts.verifyState(`${payload}.forged`, 'reauth'), null);
+    assert.strictEqual(accounts.verifyState(expired, 'reauth'), null);
+    assert.strictEqual(accounts.verifyState(undefined, 'reauth'), null);
+});
+
+test('a linked number gets its own Drive client, which keeps refreshed tokens', () => {
+    const { accounts, saved } = setup();
+
+    const workspace = accounts.link('whatsapp:+15550001111', { access_token: 'a1', refresh_token: 'r1' });
+    workspace.auth.listeners.tokens({ access_token: 'a2' });
+
+    assert.strictEqual(accounts.isLinked('+1 555 000 1111'), true);
+    assert.strictEqual(accounts.get('+15550001111'), workspace);
+    assert.deepStrictEqual(workspace.auth.credentials, { access_token: 'a1', refresh_token: 'r1' });
+    assert.strictEqual(saved[saved.length - 1]['+15550001111'].access_token, 'a2');
+    assert.strictEqual(saved[saved.length - 1]['+15550001111'].refresh_token, 'r1');
+    assert.strictEqual(accounts.get('+15550002222'), null);
+});
+
+test('UNLINK forgets the tokens and revokes them with Google', async () => {
+    const revoked = [];
+    const { accounts } = setup(revoked);
+    accounts.link('+15550001111', { access_token: 'a1', refresh_token: 'r1' });
+
+    assert.deepStrictEqual(await accounts.unlink('+15550001111'), { wasLinked: true });
+    assert.deepStrictEqual(await accounts.unlink('+15550001111'), { wasLinked: false });
+    assert.deepStrictEqual(revoked, ['r1']);
+    assert.strictEqual(accounts.isLinked('+15550001111'), false);
+});
+
+test('a link made from one form of a number holds for the others', () => {
+    const { accounts } = setup();
+    const state = accounts.createState('whatsapp:+1 (555) 000-1111');
+
+    accounts.link(accounts.verifyState(state), { access_token: 'a1' });
+
+    assert.strictEqual(accounts.isLinked('15550001111'), true);
+});
+
+test('a used state stays used after a restart', () => {
+    const usedStatesFile = path.join(tmpDir, 'restart.json');
+    const state = setup([], usedStatesFile).accounts.createState('+15550001111', 'reauth');
+
+    assert.strictEqual(setup([], usedStatesFile).accounts.verifyState(state, 'reauth'), '+15550001111');
+    assert.strictEqual(setup([], usedStatesFile).accounts.verifyState(state, 'reauth'), null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DrivePathResolver = require('../helpers/drive-path-resolver');
+const StorageBackend = require('../helpers/storage-backend');
+const createFakeDrive = require('./fake-drive');
+
+const { FOLDER_MIME_TYPE } = DrivePathResolver;
+
+async function setup(resolverOptions = {}) {
+    const drive = createFakeDrive();
+    const add = async (name, parent, mimeType = 'text/plain') =>
+        (await drive.files.create({ requestBody: { name, mimeType, parents: [parent] } })).data;
+
+    const reports = await add('Reports', 'root', FOLDER_MIME_TYPE);
+    const archive = await add('Archive', 'root', FOLDER_MIME_TYPE);
+    const oldReports = await add('Reports', archive.id, FOLDER_MIME_TYPE);
+    const q3 = await add('Q3.pdf', reports.id, 'application/pdf');
+    return { resolver: new DrivePathResolver(new StorageBackend.GoogleDriveBackend(drive), resolverOptions), ids: { reports, archive, oldReports, q3 } };
+}
+
+test('a full path is walked folder by folder from the root', async () => {
+    const { resolver, ids } = await setup();
+
+    assert.strictEqual((await resolver.resolve('/Reports/Q3.pdf')).file.id, ids.q3.id);
+    assert.strictEqual((await resolver.resolve('/archive/reports', { folderOnly: true })).file.id, ids.oldReports.id);
+});
+
+test('a missing segment is named in the error', async () => {
+    const { resolver } = await setup();
+
+    assert.strictEqual((await resolver.resolve('/Reports/Q4.pdf')).error, "File '/Reports/Q4.pdf' not found");
+    assert.strictEqual((await resolver.resolve('/Nope/Q3.pdf')).error, "Folder '/Nope' not found");
+});
+
+test('a bare name matching several items returns each with its full path', async () => {
+    const { resolver } = await setup();
+
+    const result = await resolver.resolve('reports', { folderOnly: true });
+    assert.deepStrictEqual(result.candidates.map(candidate => candidate.path).sort(), ['/Archive/Reports', '/Reports']);
+});
+
+test('id: values and the root skip the lookup', async () => {
+    const { resolver, ids } = await setup();
+
+    assert.strictEqual((await resolver.resolve(`id:${ids.q3.id}`)).file.name, 'Q3.pdf');
+    assert.strictEqual((await resolver.resolve('/')).file.id, 'root');
+    assert.strictEqual(await resolver.getPath(ids.q3.id), '/Reports/Q3.pdf');
+});
+
+test('createFolderPath reuses existing folders and creates the rest', async () => {
+    const { resolver, ids } = await setup();
+
+    const result = await resolver.createFolderPath('/Reports/2024/Q1');
+
+    assert.deepStrictEqual(result.created, ['/Reports/2024', '/Reports/2024/Q1']);
+    assert.strictEqual((await resolver.resolve('/Reports/2024/Q1', { folderOnly: true })).file.id, result.folder.id);
+    assert.strictEqual((await resolver.createFolderPath('/Reports')).folder.id, ids.reports.id);
+    assert.strictEqual((await resolver.createFolderPath('/')).error, 'A folder name is needed');
+});
+
+test('with folder limits, bare names only match inside the allowed folders', async () => {
+    const allows = drivePath => drivePath === '/Reports' || drivePath.startsWith('/Reports/');
+    const { resolver, ids } = await setup({ getPathFilter: () => allows });
+
+    assert.strictEqual((await resolver.resolve('Reports', { folderOnly: true })).file.id, ids.reports.id);
+    assert.strictEqual((await resolver.resolve('Archive', { folderOnly: true })).error, "Folder 'Archive' not found");
+});
+
+test('with folder limits, paths, id: values and the root outside them are refused', async () => {
+    const allows = drivePath => drivePath === '/Reports' || drivePath.startsWith('/Reports/');
+    const { resolver, ids } = await setup({ getPathFilter: () => allows });
+
+    assert.strictEqual((await resolver.resolve('/Archive/Reports', { folderOnly: true })).denied, true);
+    assert.strictEqual((await resolver.resolve(`id:${ids.oldReports.id}`)).denied, true);
+    assert.strictEqual((await resolver.resolve('/')).denied, true);
+    assert.strictEqual((await resolver.createFolderPath('/Archive/2024')).denied, true);
+    assert.strictEqual((await resolver.resolve(`id:${ids.q3.id}`)).file.id, ids.q3.id);
+});
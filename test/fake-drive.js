@@ -0,0 +1,156 @@
+/**
+ * Fake Drive Client
+ * An in-memory stand-in for the googleapis drive.files calls the Drive helpers make. It
+ * answers the query forms they send and keeps Drive's quirks: name= is case-sensitive, a
+ * folder can hold two items with one name, and items inside a trashed folder count as
+ * trashed too, though not explicitlyTrashed.
+ */
+
+const crypto = require('crypto');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Read a media body, which uploads send as a stream
+ */
+async function readBody(body) {
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+        return Buffer.from(body);
+    }
+    const chunks = [];
+    for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+function notFound(fileId) {
+    const error = new Error(`File not found: ${fileId}.`);
+    error.code = 404;
+    return error;
+}
+
+function unquote(value) {
+    return value.replace(/\\(.)/g, '$1');
+}
+
+function createFakeDrive() {
+    const items = new Map();
+    let nextId = 1;
+    items.set('root', { id: 'root', name: 'My Drive', mimeType: FOLDER_MIME_TYPE, parents: [], modifiedTime: new Date().toISOString() });
+
+    const isTrashed = (item) => {
+        for (let current = item; current; current = items.get((current.parents || [])[0])) {
+            if (current.trashed) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    const lookup = (fileId) => {
+        const item = items.get(fileId);
+        if (!item) {
+            throw notFound(fileId);
+        }
+        return item;
+    };
+
+    const describe = (item) => {
+        const { content, trashed, trashedTime, ...file } = item;
+        const trash = isTrashed(item) ? { explicitlyTrashed: !!trashed, ...(trashed ? { trashedTime } : {}) } : {};
+        return { ...file, parents: [...file.parents], ...trash };
+    };
+
+    // The query clauses the Drive helpers build, joined with "and"
+    const matches = (item, q) => q.split(' and ').every(clause => {
+        let match;
+        if ((match = clause.match(/^'((?:[^'\\]|\\.)*)' in parents$/))) {
+            return item.parents.includes(unquote(match[1]));
+        }
+        if ((match = clause.match(/^name ?= ?'((?:[^'\\]|\\.)*)'$/))) {
+            return item.name === unquote(match[1]);
+        }
+        if ((match = clause.match(/^name contains '((?:[^'\\]|\\.)*)'$/))) {
+            return item.name.toLowerCase().includes(unquote(match[1]).toLowerCase());
+        }
+        if ((match = clause.match(/^trashed ?= ?(true|false)$/))) {
+            return isTrashed(item) === (match[1] === 'true');
+        }
+        if ((match = clause.match(/^mimeType ?(!?=) ?'([^']*)'$/))) {
+            return (item.mimeType === match[2]) === (match[1] === '=');
+        }
+        throw new Error(`The fake drive can't answer '${clause}'`);
+    });
+
+    const remove = (fileId) => {
+        [...items.values()].filter(item => item.parents[0] === fileId).forEach(item => remove(item.id));
+        items.delete(fileId);
+    };
+
+    return {
+        items,
+        files: {
+            async get(params) {
+                const item = lookup(params.fileId);
+                return { data: params.alt === 'media' ? item.content || Buffer.alloc(0) : describe(item) };
+            },
+
+            async list(params) {
+                const files = [...items.values()]
+                    .filter(item => item.id !== 'root' && matches(item, params.q || 'trashed=false'))
+                    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+                    .slice(0, params.pageSize || 100)
+                    .map(describe);
+                return { data: { files } };
+            },
+
+            async create(params) {
+                const { name, mimeType, parents } = params.requestBody;
+                lookup(parents[0]);
+                const item = {
+                    id: `drive-${nextId++}`,
+                    name,
+                    mimeType: mimeType || (params.media && params.media.mimeType) || 'application/octet-stream',
+                    parents: [...parents],
+                    modifiedTime: new Date().toISOString(),
+                    trashed: false
+                };
+                if (params.media) {
+                    item.content = await readBody(params.media.body);
+                    item.size = String(item.content.length);
+                    item.md5Checksum = crypto.createHash('md5').update(item.content).digest('hex');
+                }
+                items.set(item.id, item);
+                return { data: describe(item) };
+            },
+
+            async update(params) {
+                const item = lookup(params.fileId);
+                if (params.addParents) {
+                    const removed = String(params.removeParents || '').split(',');
+                    item.parents = item.parents.filter(parent => !removed.includes(parent)).concat(params.addParents);
+                }
+                Object.assign(item, params.requestBody || {});
+                item.modifiedTime = new Date().toISOString();
+                if (params.requestBody && 'trashed' in params.requestBody) {
+                    item.trashedTime = item.trashed ? item.modifiedTime : undefined;
+                }
+                return { data: describe(item) };
+            },
+
+            async delete(params) {
+                lookup(params.fileId);
+                remove(params.fileId);
+                return { data: '' };
+            },
+
+            async export(params) {
+                const item = lookup(params.fileId);
+                return { data: item.content || Buffer.alloc(0) };
+            }
+        }
+    };
+}
+
+module.exports = createFakeDrive;
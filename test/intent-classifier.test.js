@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IntentClassifier = require('../helpers/intent-classifier');
+
+function classifierReplying(reply) {
+    return new IntentClassifier(async () => reply, { enabled: true });
+}
+
+test('model output becomes quoted command text', async () => {
+    const move = classifierReplying('{"command":"MOVE","path":"Q3 report.pdf","destination":"Old \\"Files\\""}');
+    const list = classifierReplying('```json\n{"command":"LIST","path":"/Reports","page":2}\n```');
+
+    assert.strictEqual(await move.classify('put the q3 report in old files'), 'MOVE "Q3 report.pdf" TO "Old \\"Files\\""');
+    assert.strictEqual(await list.classify('next page of reports'), 'LIST "/Reports" PAGE 2');
+});
+
+test('missing or unusable arguments give no command', async () => {
+    const classifier = classifierReplying('');
+
+    assert.strictEqual(classifier.toCommandText({ command: 'MOVE', path: 'a.txt' }), null);
+    assert.strictEqual(classifier.toCommandText({ command: 'DELETE', path: 'a\nb' }), null);
+    assert.strictEqual(classifier.toCommandText({ command: 'NONE' }), null);
+    assert.strictEqual(classifier.toCommandText({ command: 'FORMAT' }), null);
+});
+
+test('bad JSON and disabled fallback return null without throwing', async () => {
+    const calls = [];
+    const disabled = new IntentClassifier(async () => { calls.push(1); return '{}'; }, { enabled: false });
+
+    assert.strictEqual(await classifierReplying('not json').classify('hello'), null);
+    assert.strictEqual(await disabled.classify('list reports'), null);
+    assert.strictEqual(calls.length, 0);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../helpers/job-queue');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function stateFile() {
+    return path.join(tmpDir, `jobs-${Math.random().toString(36).slice(2)}.json`);
+}
+
+// A runner that waits until the test releases it
+function gate() {
+    let release;
+    const opened = new Promise(resolve => {
+        release = resolve;
+    });
+    return { opened, release };
+}
+
+test('jobs beyond the concurrency limit wait their turn', async () => {
+    const gates = { a: gate(), b: gate() };
+    const finished = [];
+    const queue = new JobQueue({ wait: payload => gates[payload].opened.then(() => payload.toUpperCase()) }, {
+        concurrency: 1,
+        stateFile: stateFile(),
+        onComplete: job => finished.push([job.payload, job.status, job.result])
+    });
+
+    const first = queue.enqueue('+15550001111', 'wait', 'a', 'first');
+    const second = queue.enqueue('+15550001111', 'wait', 'b', 'second');
+
+    assert.strictEqual(first.status, 'running');
+    assert.strictEqual(queue.getPosition(second.id), 1);
+
+    gates.a.release();
+    gates.b.release();
+    await gates.b.opened;
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(finished, [['a', 'done', 'A'], ['b', 'done', 'B']]);
+});
+
+test('only the sender can cancel, and a queued job stops at once', () => {
+    const queue = new JobQueue({ wait: () => new Promise(() => {}) }, { concurrency: 1, stateFile: stateFile() });
+    queue.enqueue('+15550001111', 'wait', null, 'running');
+    const queued = queue.enqueue('+15550001111', 'wait', null, 'queued');
+
+    assert.match(queue.cancel('+15550002222', queued.id).error, /No job/);
+    assert.strictEqual(queue.cancel('+15550001111', queued.id.toUpperCase()).job.status, 'cancelled');
+    assert.match(queue.cancel('+15550001111', queued.id).error, /already cancelled/);
+    assert.deepStrictEqual(queue.list('+15550002222'), []);
+});
+
+test('a failing runner marks the job failed', async () => {
+    let failed;
+    const queue = new JobQueue({ boom: async () => { throw new Error('Drive is down'); } }, {
+        stateFile: stateFile(),
+        onComplete: job => { failed = job; }
+    });
+
+    queue.enqueue('+15550001111', 'boom', null, 'boom');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'Drive is down');
+});
+
+test('unfinished jobs are queued again after a restart', () => {
+    const file = stateFile();
+    const before = new JobQueue({ wait: () => new Promise(() => {}) }, { concurrency: 1, stateFile: file });
+    const running = before.enqueue('+15550001111', 'wait', { name: 'a' }, 'first');
+    before.enqueue('+15550001111', 'wait', { name: 'b' }, 'second');
+
+    const after = new JobQueue({}, { stateFile: file });
+
+    assert.deepStrictEqual(after.list('+15550001111').map(job => [job.label, job.status, job.restored]), [
+        ['first', 'queued', true],
+        ['second', 'queued', true]
+    ]);
+    assert.strictEqual(after.jobs.get(running.id).payload.name, 'a');
+});
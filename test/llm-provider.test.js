@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LLMProvider = require('../helpers/llm-provider');
+
+const { MockProvider, GeminiProvider, OpenAICompatibleProvider } = LLMProvider;
+
+test('the mock answers from the first matching rule and records every call', async () => {
+    const provider = new MockProvider({
+        rules: [
+            { match: /^Summarize/, text: 'A summary.' },
+            { match: 'Question:', text: prompt => `Echo ${prompt.length}` }
+        ]
+    });
+
+    assert.strictEqual(await provider.generate('Summarize this'), 'A summary.');
+    assert.strictEqual(await provider.generate('Question: why?', { maxTokens: 5 }), 'Echo 14');
+    assert.deepStrictEqual(provider.calls[1], { prompt: 'Question: why?', options: { maxTokens: 5 } });
+});
+
+test('without a rule the mock is deterministic, and returns {} for JSON', async () => {
+    const provider = new MockProvider();
+
+    assert.strictEqual(await provider.generate('hello'), await provider.generate('hello'));
+    assert.notStrictEqual(await provider.generate('hello'), await provider.generate('goodbye'));
+    assert.strictEqual(await provider.generate('hello', { json: true }), '{}');
+});
+
+test('the health check reports a missing key without calling out', async () => {
+    assert.deepStrictEqual(await new GeminiProvider().healthCheck(), {
+        ok: false,
+        provider: 'gemini',
+        model: 'gemini-1.5-flash',
+        error: 'Not configured'
+    });
+    assert.strictEqual((await new MockProvider().healthCheck()).ok, true);
+});
+
+test('OpenAI-compatible endpoints get lower-case JSON Schema types, and local ones need no key', () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1/' });
+
+    assert.strictEqual(provider.baseUrl, 'http://localhost:8080/v1');
+    assert.strictEqual(provider.isConfigured(), true);
+    assert.strictEqual(new OpenAICompatibleProvider().isConfigured(), false);
+    assert.deepStrictEqual(
+        provider.toJsonSchema({ type: 'OBJECT', properties: { tags: { type: 'ARRAY', items: { type: 'STRING' } } }, required: ['tags'] }),
+        { type: 'object', properties: { tags: { type: 'array', items: { type: 'string' } } }, required: ['tags'] }
+    );
+});
+
+test('LLM_PROVIDER picks the provider', (t) => {
+    const saved = { LLM_PROVIDER: process.env.LLM_PROVIDER, LLM_MODEL: process.env.LLM_MODEL };
+    t.after(() => Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = value;
+        }
+    }));
+
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_MODEL = 'llama3';
+    assert.ok(LLMProvider.fromEnv() instanceof OpenAICompatibleProvider);
+    assert.strictEqual(LLMProvider.fromEnv().model, 'llama3');
+
+    process.env.LLM_PROVIDER = 'mock';
+    assert.strictEqual(LLMProvider.fromEnv().name, 'mock');
+});
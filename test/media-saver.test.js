@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MediaSaver = require('../helpers/media-saver');
+const StorageBackend = require('../helpers/storage-backend');
+
+test('names come from the caption, keep one extension and are numbered when several', () => {
+    const saver = new MediaSaver(new StorageBackend.MemoryBackend({ fixtures: {} }));
+
+    assert.deepStrictEqual(saver.buildName('Receipt.JPG', 'image/jpeg', 0, 1), { base: 'Receipt', extension: '.jpg' });
+    assert.deepStrictEqual(saver.buildName('a/b:c', 'application/pdf; charset=binary', 1, 2), { base: 'a b c 2', extension: '.pdf' });
+    assert.match(saver.buildName('', 'image/png', 0, 1).base, /^WhatsApp \d{4}-\d{2}-\d{2} \d{6}$/);
+});
+
+test('attachments are saved to the storage backend without replacing existing files', async () => {
+    const storage = new StorageBackend.MemoryBackend({ fixtures: { '/Receipts/lunch.jpg': 'old' } });
+    const [folder] = await storage.findByName('Receipts', { folderOnly: true });
+    const mediaSaver = new MediaSaver(storage, { fetchMedia: async () => Buffer.from('new photo') });
+
+    const result = await mediaSaver.saveAll([{ contentType: 'image/jpeg' }], folder, 'lunch');
+
+    assert.deepStrictEqual(result.failed, []);
+    assert.strictEqual(result.saved[0].name, 'lunch (2).jpg');
+    assert.strictEqual((await storage.download(result.saved[0].id)).toString('utf8'), 'new photo');
+    assert.deepStrictEqual((await storage.listFolder(folder.id)).map(file => file.name), ['lunch (2).jpg', 'lunch.jpg']);
+});
+
+test('without a media download every item fails', async () => {
+    const saver = new MediaSaver(new StorageBackend.MemoryBackend({ fixtures: {} }));
+
+    const result = await saver.saveAll([{ id: 'media-9', contentType: 'application/pdf' }], { id: 'root' }, 'Scan');
+
+    assert.deepStrictEqual(result, { saved: [], failed: [{ contentType: 'application/pdf', error: 'No media download configured' }] });
+});
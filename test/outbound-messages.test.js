@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OutboundMessages = require('../helpers/outbound-messages');
+
+const TO = 'whatsapp:+15550001111';
+
+function setup() {
+    const sent = [];
+    const outbound = new OutboundMessages(async (to, body) => sent.push(body), { maxLength: 200, holdAbove: 400 });
+    return { sent, outbound };
+}
+
+function longReply(label) {
+    return Array.from({ length: 6 }, (_, index) => `${label} paragraph ${index + 1}. ${'x'.repeat(100)}`).join('\n\n');
+}
+
+test('a reply within the limit goes out unchanged', async () => {
+    const { sent, outbound } = setup();
+
+    const result = await outbound.send(TO, 'Short answer');
+
+    assert.deepStrictEqual(sent, ['Short answer']);
+    assert.deepStrictEqual(result, { sent: 1, held: 0 });
+});
+
+test('a longer reply is split at paragraphs into numbered parts', async () => {
+    const sent = [];
+    const outbound = new OutboundMessages(async (to, body, mediaUrl) => sent.push([body, mediaUrl]), { maxLength: 200, holdAbove: 400 });
+    const body = `${'a'.repeat(120)}\n\n${'b'.repeat(120)}`;
+
+    await outbound.send(TO, body, 'https://example.com/q3.pdf');
+
+    assert.deepStrictEqual(sent, [
+        [`${'a'.repeat(120)}\n\n(1/2)`, 'https://example.com/q3.pdf'],
+        [`${'b'.repeat(120)}\n\n(2/2)`, undefined]
+    ]);
+});
+
+test('oversized lines and words are broken to fit', () => {
+    const { outbound } = setup();
+
+    assert.deepStrictEqual(outbound.split('one two\nthree four five', 10), ['one two', 'three four', 'five']);
+    assert.deepStrictEqual(outbound.split('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('a very long reply sends its first part and holds the rest for MORE', async () => {
+    const { sent, outbound } = setup();
+
+    const result = await outbound.send(TO, longReply('Report'));
+
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0], /Send MORE/);
+    assert.match(outbound.takeNext(TO), /Report paragraph 2/);
+    assert.strictEqual(result.sent, 1);
+});
+
+test('held parts run out, and expire', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const { outbound } = setup();
+    await outbound.send(TO, longReply('Report'));
+    const remaining = outbound.held.get('+15550001111').parts.length;
+
+    for (let i = 0; i < remaining; i++) {
+        assert.ok(outbound.takeNext(TO));
+    }
+    assert.strictEqual(outbound.takeNext(TO), null);
+
+    await outbound.send(TO, longReply('Report'));
+    t.mock.timers.tick(30 * 60 * 1000 + 1);
+    assert.strictEqual(outbound.takeNext(TO), null);
+});
+
+test('MORE finds the held parts however the number is written', async () => {
+    const { outbound } = setup();
+    await outbound.send(TO, longReply('Report'));
+
+    assert.match(outbound.takeNext('15550001111'), /Report paragraph 2/);
+});
+
+test('a newer reply drops the parts held for an older one', async () => {
+    const { outbound } = setup();
+    await outbound.send(TO, longReply('Old'));
+
+    await outbound.send('+1 555 000 1111', 'Short answer');
+
+    assert.strictEqual(outbound.takeNext(TO), null);
+});
+
+test('parts sent with keepHeld leave the rest waiting', async () => {
+    const { outbound } = setup();
+    await outbound.send(TO, longReply('Report'));
+
+    await outbound.send(TO, outbound.takeNext(TO), undefined, { keepHeld: true });
+
+    assert.match(outbound.takeNext(TO), /Report paragraph 3/);
+});
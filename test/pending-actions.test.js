@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PendingActions = require('../helpers/pending-actions');
+
+const SENDER = 'whatsapp:+15550001111';
+
+test('the right code from the same sender confirms the action once', () => {
+    const pending = new PendingActions();
+    const action = pending.create(SENDER, 'DELETE', { fileId: 'f1', fileName: 'report.pdf' });
+
+    assert.match(action.code, /^\d{6}$/);
+    assert.strictEqual(pending.confirm('+15550001111', action.code).action.details.fileId, 'f1');
+    assert.ok(pending.confirm(SENDER, action.code).error);
+});
+
+test('a wrong code cancels the action', () => {
+    const pending = new PendingActions();
+    const action = pending.create(SENDER, 'DELETE', { fileId: 'f1' });
+
+    const result = pending.confirm(SENDER, action.code === '000000' ? '111111' : '000000');
+    assert.strictEqual(result.cancelled, true);
+    assert.strictEqual(pending.get(SENDER), null);
+});
+
+test('another sender cannot confirm the action', () => {
+    const pending = new PendingActions();
+    const action = pending.create(SENDER, 'DELETE', { fileId: 'f1' });
+
+    assert.ok(pending.confirm('whatsapp:+15550002222', action.code).error);
+    assert.strictEqual(pending.get(SENDER).code, action.code);
+});
+
+test('an expired action is refused and reported once', () => {
+    const expired = [];
+    const pending = new PendingActions({ onExpire: action => expired.push(action.details.fileId) });
+    const action = pending.create(SENDER, 'DELETE', { fileId: 'f1' });
+    action.expiresAt = Date.now() - 1;
+
+    assert.strictEqual(pending.confirm(SENDER, action.code).expired, true);
+    assert.strictEqual(pending.get(SENDER), null);
+    assert.deepStrictEqual(expired, ['f1']);
+});
+
+test('a new action replaces the sender\'s earlier one', () => {
+    const pending = new PendingActions();
+    pending.create(SENDER, 'DELETE', { fileId: 'f1' });
+    pending.create(SENDER, 'DELETE', { fileId: 'f2' });
+
+    assert.strictEqual(pending.get(SENDER).details.fileId, 'f2');
+    assert.strictEqual(pending.cancel(SENDER).details.fileId, 'f2');
+    assert.strictEqual(pending.get(SENDER), null);
+});
+
+test('an action waiting for a pick is consumed without a code', () => {
+    const pending = new PendingActions();
+    pending.create(SENDER, 'CHOOSE', { candidates: [] }, 'PICK');
+
+    assert.strictEqual(pending.get(SENDER).expects, 'PICK');
+    assert.strictEqual(pending.consume(SENDER).type, 'CHOOSE');
+    assert.strictEqual(pending.get(SENDER), null);
+});
+
+test('the sender is recognised however their number is written', () => {
+    const pending = new PendingActions();
+    const action = pending.create('whatsapp:+1 (555) 000-1111', 'DELETE', { fileId: 'f1' });
+
+    assert.strictEqual(pending.get('15550001111').code, action.code);
+    assert.strictEqual(pending.confirm(SENDER, action.code).action.details.fileId, 'f1');
+});
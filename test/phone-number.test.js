@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhoneNumber = require('../helpers/phone-number');
+const AccessControl = require('../helpers/access-control');
+const ChannelAdapter = require('../helpers/channel-adapters');
+
+test('formatting and the whatsapp: prefix do not change the key', () => {
+    const forms = ['whatsapp:+15550001111', '+1 (555) 000-1111', '15550001111', 'WhatsApp:1.555.000.1111'];
+
+    assert.deepStrictEqual([...new Set(forms.map(PhoneNumber.normalize))], ['+15550001111']);
+    assert.strictEqual(PhoneNumber.normalize('console'), 'console');
+});
+
+test('a sender reported by a channel matches the access control entry for its number', () => {
+    const accessControl = new AccessControl({ config: { users: { '1 555 000 1111': 'editor' } } });
+    const channel = new ChannelAdapter();
+
+    const fromNumber = channel.toAddress('whatsapp:+1-555-000-1111');
+    assert.strictEqual(fromNumber, 'whatsapp:+15550001111');
+    assert.strictEqual(accessControl.getUser(fromNumber).role, 'editor');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageBackend = require('../helpers/storage-backend');
+const StorageConformance = require('./storage-conformance');
+const createFakeDrive = require('./fake-drive');
+
+/**
+ * Fail with every check's outcome, so the failing one is easy to spot
+ */
+async function assertConforms(backend) {
+    const report = await new StorageConformance(backend).run();
+    const outcome = report.results.map(result => `${result.ok ? 'ok' : 'FAILED'} ${result.name}${result.ok ? '' : ` - ${result.error}`}`);
+    assert.strictEqual(report.passed, StorageConformance.CHECKS.length, `${report.backend}:\n${outcome.join('\n')}`);
+}
+
+test('the memory backend passes the conformance checks', async () => {
+    await assertConforms(new StorageBackend.MemoryBackend({ fixtures: {} }));
+});
+
+test('the local backend passes the conformance checks', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-conformance-'));
+    try {
+        await assertConforms(new StorageBackend.LocalFileBackend({ root }));
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('the Google Drive backend passes the conformance checks', async () => {
+    await assertConforms(new StorageBackend.GoogleDriveBackend(createFakeDrive()));
+});
@@ -0,0 +1,234 @@
+/**
+ * Storage Conformance
+ * The checks every storage backend must pass, so LIST, MOVE, DELETE, RESTORE and SUMMARY
+ * behave the same on Google Drive, a local folder and the in-memory store. The checks work
+ * inside a scratch folder they create under the root and delete afterwards.
+ *
+ * storage-backend.test.js runs them on every backend with npm test, Drive against a fake
+ * client. To check a real Drive, pass a GoogleDriveBackend for a test account to run().
+ */
+
+const StorageBackend = require('../helpers/storage-backend');
+
+const { FOLDER_MIME_TYPE } = StorageBackend;
+
+/**
+ * Throw with a readable message when a check fails
+ */
+function expect(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Run in order; later checks use the items earlier ones created (kept on state)
+const CHECKS = [
+    ['root has no parents', async (backend) => {
+        const root = await backend.getFile('root');
+        expect(!root.parents || root.parents.length === 0, `root has parents ${JSON.stringify(root.parents)}`);
+    }],
+
+    ['createFolder returns folder metadata', async (backend, state) => {
+        state.folder = await backend.createFolder('Reports', state.sandbox.id);
+        expect(state.folder.id && state.folder.name === 'Reports', `got ${JSON.stringify(state.folder)}`);
+        expect(state.folder.mimeType === FOLDER_MIME_TYPE, `mimeType is ${state.folder.mimeType}`);
+        expect(state.folder.parents && state.folder.parents[0] === state.sandbox.id, `parents are ${JSON.stringify(state.folder.parents)}`);
+    }],
+
+    ['createFile returns file metadata', async (backend, state) => {
+        state.file = await backend.createFile('notes.txt', state.sandbox.id, Buffer.from('hello storage'), 'text/plain');
+        state.other = await backend.createFile('Agenda.txt', state.sandbox.id, Buffer.from('agenda'), 'text/plain');
+        expect(state.file.id && state.file.name === 'notes.txt', `got ${JSON.stringify(state.file)}`);
+        expect(state.file.mimeType.startsWith('text/plain'), `mimeType is ${state.file.mimeType}`);
+        expect(state.file.parents && state.file.parents[0] === state.sandbox.id, `parents are ${JSON.stringify(state.file.parents)}`);
+        expect(parseInt(state.file.size, 10) === 13, `size is ${state.file.size}`);
+        expect(state.file.md5Checksum || state.file.modifiedTime, 'no revision to cache summaries by');
+    }],
+
+    ['getFile returns the same item', async (backend, state) => {
+        const file = await backend.getFile(state.file.id);
+        expect(file.id === state.file.id && file.name === 'notes.txt', `got ${JSON.stringify(file)}`);
+    }],
+
+    ['getFile throws for an unknown ID', async (backend) => {
+        let threw = false;
+        try {
+            await backend.getFile('no-such-file-0000');
+        } catch (error) {
+            threw = true;
+        }
+        expect(threw, 'no error for a missing file');
+    }],
+
+    ['listFolder lists children sorted by name', async (backend, state) => {
+        const names = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        expect(JSON.stringify(names) === JSON.stringify(['Agenda.txt', 'notes.txt', 'Reports']), `got ${JSON.stringify(names)}`);
+    }],
+
+    ['findByName ignores case within a folder', async (backend, state) => {
+        const matches = await backend.findByName('NOTES.TXT', { parentId: state.sandbox.id });
+        expect(matches.length === 1 && matches[0].id === state.file.id, `got ${JSON.stringify(matches)}`);
+    }],
+
+    ['findByName honours folderOnly', async (backend, state) => {
+        const files = await backend.findByName('notes.txt', { parentId: state.sandbox.id, folderOnly: true });
+        const folders = await backend.findByName('reports', { parentId: state.sandbox.id, folderOnly: true });
+        expect(files.length === 0, `found ${files.length} folders named notes.txt`);
+        expect(folders.length === 1 && folders[0].id === state.folder.id, `got ${JSON.stringify(folders)}`);
+    }],
+
+    ['findByName searches everywhere without a parent', async (backend, state) => {
+        const matches = await backend.findByName(state.sandbox.name);
+        expect(matches.some(file => file.id === state.sandbox.id), `scratch folder not found in ${JSON.stringify(matches)}`);
+    }],
+
+    ['download returns the file bytes', async (backend, state) => {
+        const buffer = await backend.download(state.file.id);
+        expect(Buffer.isBuffer(buffer) && buffer.toString('utf8') === 'hello storage', `got ${String(buffer)}`);
+    }],
+
+    ['moveFile puts the file in the new folder', async (backend, state) => {
+        state.file = await backend.moveFile(state.file.id, state.folder.id);
+        expect(state.file.parents && state.file.parents[0] === state.folder.id, `parents are ${JSON.stringify(state.file.parents)}`);
+
+        const inFolder = (await backend.listFolder(state.folder.id)).map(file => file.name);
+        const inSandbox = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        expect(inFolder.includes('notes.txt'), `destination holds ${JSON.stringify(inFolder)}`);
+        expect(!inSandbox.includes('notes.txt'), `source still holds ${JSON.stringify(inSandbox)}`);
+        expect((await backend.download(state.file.id)).toString('utf8') === 'hello storage', 'content changed by the move');
+    }],
+
+    ['moveFile refuses a name already in the destination folder', async (backend, state) => {
+        const copy = await backend.createFile('notes.txt', state.sandbox.id, Buffer.from('another copy'), 'text/plain');
+        let threw = false;
+        try {
+            await backend.moveFile(copy.id, state.folder.id);
+        } catch (error) {
+            threw = true;
+        }
+        const inFolder = (await backend.listFolder(state.folder.id)).filter(file => file.name === 'notes.txt');
+        expect(threw, 'no error for a duplicate name');
+        expect(inFolder.length === 1, `destination holds ${inFolder.length} items named notes.txt`);
+        await backend.deleteFile(copy.id);
+    }],
+
+    ['trashFile hides the file from listings and lookups', async (backend, state) => {
+        await backend.trashFile(state.other.id);
+        const names = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        const matches = await backend.findByName('Agenda.txt', { parentId: state.sandbox.id });
+        expect(!names.includes('Agenda.txt'), `still listed in ${JSON.stringify(names)}`);
+        expect(matches.length === 0, 'still found by name');
+    }],
+
+    ['trashing a folder hides what is inside it', async (backend, state) => {
+        const folder = await backend.createFolder('Old', state.sandbox.id);
+        await backend.createFile('inside.txt', folder.id, Buffer.from('inside'), 'text/plain');
+        await backend.trashFile(folder.id);
+
+        let inside = [];
+        try {
+            inside = await backend.listFolder(folder.id);
+        } catch (error) {
+            // Also fine: the folder is gone from where it was
+        }
+        const names = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        expect(!names.includes('Old'), `still listed in ${JSON.stringify(names)}`);
+        expect(inside.length === 0, `the trashed folder still lists ${JSON.stringify(inside.map(file => file.name))}`);
+        expect((await backend.findByName('inside.txt')).length === 0, 'a file inside the trashed folder is still found by name');
+    }],
+
+    ['listTrash lists trashed items where they were', async (backend, state) => {
+        const trashed = (await backend.listTrash({ name: 'agenda.txt' })).filter(file => file.parents[0] === state.sandbox.id);
+        const inside = (await backend.listTrash({ name: 'inside.txt' })).filter(file => file.parents[0] === state.sandbox.id);
+        expect(trashed.length === 1 && trashed[0].name === 'Agenda.txt', `got ${JSON.stringify(trashed)}`);
+        expect(!isNaN(new Date(trashed[0].trashedTime)), `trashedTime is ${trashed[0].trashedTime}`);
+        expect(inside.length === 0, 'a file only trashed with its folder is listed');
+        state.trashed = trashed[0];
+    }],
+
+    ['restoreFile puts the item back where it was', async (backend, state) => {
+        state.other = await backend.restoreFile(state.trashed.id);
+        const names = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        const trashed = (await backend.listTrash({ name: 'Agenda.txt' })).filter(file => file.parents[0] === state.sandbox.id);
+        expect(names.includes('Agenda.txt'), `not listed in ${JSON.stringify(names)}`);
+        expect(trashed.length === 0, 'still listed in the trash');
+        expect((await backend.download(state.other.id)).toString('utf8') === 'agenda', 'content changed by the restore');
+    }],
+
+    ['restoreFile refuses a name taken since it was trashed', async (backend, state) => {
+        await backend.trashFile(state.other.id);
+        const [trashed] = (await backend.listTrash({ name: 'Agenda.txt' })).filter(file => file.parents[0] === state.sandbox.id);
+        await backend.createFile('Agenda.txt', state.sandbox.id, Buffer.from('new agenda'), 'text/plain');
+        let threw = false;
+        try {
+            await backend.restoreFile(trashed.id);
+        } catch (error) {
+            threw = true;
+        }
+        const names = (await backend.listFolder(state.sandbox.id)).filter(file => file.name === 'Agenda.txt');
+        expect(threw, 'no error for a duplicate name');
+        expect(names.length === 1, `the folder holds ${names.length} items named Agenda.txt`);
+    }],
+
+    ['deleteFile removes a folder and its contents', async (backend, state) => {
+        await backend.deleteFile(state.folder.id);
+        const names = (await backend.listFolder(state.sandbox.id)).map(file => file.name);
+        expect(!names.includes('Reports'), `still listed in ${JSON.stringify(names)}`);
+
+        let threw = false;
+        try {
+            await backend.download(state.file.id);
+        } catch (error) {
+            threw = true;
+        }
+        expect(threw, 'a file inside the deleted folder can still be downloaded');
+    }]
+];
+
+class StorageConformance {
+    /**
+     * @param {Object} backend - the StorageBackend to check
+     */
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Run every check, stopping at the first failure since later checks build on earlier ones.
+     * Returns { backend, passed, failed, results: [{ name, ok, error }] }.
+     */
+    async run() {
+        const results = [];
+        const state = {};
+
+        try {
+            state.sandbox = await this.backend.createFolder(`conformance-${Date.now()}`, 'root');
+        } catch (error) {
+            return { backend: this.backend.name, passed: 0, failed: 1, results: [{ name: 'create scratch folder', ok: false, error: error.message }] };
+        }
+
+        for (const [name, check] of CHECKS) {
+            try {
+                await check(this.backend, state);
+                results.push({ name, ok: true });
+            } catch (error) {
+                results.push({ name, ok: false, error: error.message });
+                break;
+            }
+        }
+
+        try {
+            await this.backend.deleteFile(state.sandbox.id);
+        } catch (error) {
+            console.error(`Failed to remove scratch folder ${state.sandbox.name}:`, error.message);
+        }
+
+        const passed = results.filter(result => result.ok).length;
+        return { backend: this.backend.name, passed, failed: results.length - passed + (CHECKS.length - results.length), results };
+    }
+}
+
+StorageConformance.CHECKS = CHECKS;
+
+module.exports = StorageConformance;
+
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Summarizer = require('../helpers/summarizer');
+const LLMProvider = require('../helpers/llm-provider');
+
+test('chunks break at paragraphs, then sentences, then hard cuts', () => {
+    const summarizer = new Summarizer(async () => '', { chunkTokens: 5 });
+
+    assert.deepStrictEqual(summarizer.splitIntoChunks('One two.\n\nThree.'), ['One two.\n\nThree.']);
+    assert.deepStrictEqual(summarizer.splitIntoChunks('Alpha beta gamma. Delta epsilon.'), ['Alpha beta gamma.', 'Delta epsilon.']);
+    assert.deepStrictEqual(summarizer.splitIntoChunks('x'.repeat(45)), ['x'.repeat(20), 'x'.repeat(20), 'x'.repeat(5)]);
+});
+
+test('a short document takes a single call', async () => {
+    const prompts = [];
+    const summarizer = new Summarizer(async prompt => { prompts.push(prompt); return 'Short.'; });
+
+    const result = await summarizer.summarize('A short note.', 'note.txt');
+
+    assert.deepStrictEqual(result, { summary: 'Short.', chunksUsed: 1, totalChunks: 1, partial: false, failed: false });
+    assert.strictEqual(prompts.length, 1);
+    assert.match(prompts[0], /Document Name: note.txt/);
+});
+
+test('chunks past the limit are left out and the summary marked partial', async () => {
+    const summarizer = new Summarizer(async () => 'Part.', { chunkTokens: 5, maxChunks: 2 });
+
+    const result = await summarizer.summarize('First part here.\n\nSecond part here.\n\nThird part here.', 'long.txt');
+
+    assert.strictEqual(result.chunksUsed, 2);
+    assert.strictEqual(result.totalChunks, 3);
+    assert.strictEqual(result.partial, true);
+});
+
+test('a long document is summarized part by part, then combined', async () => {
+    const provider = new LLMProvider.MockProvider({
+        rules: [
+            { match: 'You are summarizing part', text: prompt => `Notes on ${prompt.match(/Part (\d+):/)[1]}` },
+            { match: 'Combine them into a single concise summary', text: 'The whole report in brief.' }
+        ]
+    });
+    const summarizer = new Summarizer((prompt, options) => provider.generate(prompt, options), { chunkTokens: 10, maxChunks: 8 });
+    const content = ['First section about revenue.', 'Second section about costs.', 'Third section about hiring.'].join('\n\n');
+
+    const result = await summarizer.summarize(content, 'report.txt');
+
+    assert.strictEqual(result.summary, 'The whole report in brief.');
+    assert.strictEqual(result.chunksUsed, 3);
+    assert.strictEqual(result.partial, false);
+    assert.deepStrictEqual(provider.calls.map(call => call.options.maxTokens), [400, 400, 400, 400]);
+    assert.match(provider.calls[3].prompt, /Part 1:\nNotes on 1\n\nPart 2:\nNotes on 2\n\nPart 3:\nNotes on 3/);
+});
+
+test('a document the model returns nothing for is reported as failed', async () => {
+    const provider = new LLMProvider.MockProvider({ rules: [{ match: 'Document Name', text: '' }] });
+    const summarizer = new Summarizer((prompt, options) => provider.generate(prompt, options));
+
+    const result = await summarizer.summarize('A short note.', 'note.txt');
+
+    assert.strictEqual(result.failed, true);
+    assert.strictEqual(result.summary, 'Unable to generate summary');
+});
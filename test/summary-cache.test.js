@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SummaryCache = require('../helpers/summary-cache');
+
+const file = { id: 'f1', md5Checksum: 'abc' };
+
+test('a summary is reused only for the same revision and variant', async () => {
+    const cache = new SummaryCache(new SummaryCache.MemoryStore());
+
+    await cache.set(file, 'v1', { summary: 'Old news.' });
+
+    assert.strictEqual((await cache.get(file, 'v1')).summary, 'Old news.');
+    assert.strictEqual(await cache.get({ ...file, md5Checksum: 'def' }, 'v1'), null);
+    assert.strictEqual(await cache.get(file, 'v2'), null);
+});
+
+test('Google-native files are keyed by modified time, files without a revision not at all', () => {
+    const cache = new SummaryCache(new SummaryCache.MemoryStore());
+
+    assert.strictEqual(cache.getKey({ id: 'doc', modifiedTime: '2024-01-01T00:00:00Z' }, 'v1'), 'doc:2024-01-01T00:00:00Z:v1');
+    assert.strictEqual(cache.getKey({ id: 'doc' }, 'v1'), null);
+    assert.strictEqual(new SummaryCache(null).getKey(file, 'v1'), null);
+});
+
+test('the memory store drops the oldest entries past its limit', async () => {
+    const store = new SummaryCache.MemoryStore({ maxEntries: 2 });
+
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.set('a', 3);
+    await store.set('c', 4);
+
+    assert.deepStrictEqual([...store.entries.keys()], ['a', 'c']);
+});
+
+test('the file store keeps summaries encrypted across restarts', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'summary-cache-'));
+    const cacheFile = path.join(dir, 'summary-cache.enc');
+
+    try {
+        const cache = new SummaryCache(new SummaryCache.FileStore({ file: cacheFile, secret: 'test-secret' }));
+        await cache.set(file, 'short', { summary: 'The salaries are confidential' });
+
+        assert.doesNotMatch(fs.readFileSync(cacheFile, 'utf8'), /salaries/);
+
+        const reloaded = new SummaryCache(new SummaryCache.FileStore({ file: cacheFile, secret: 'test-secret' }));
+        assert.strictEqual((await reloaded.get(file, 'short')).summary, 'The salaries are confidential');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('fromEnv keeps summaries in memory unless a key is set for the file store', () => {
+    const saved = { store: process.env.SUMMARY_CACHE_STORE, key: process.env.TOKEN_STORE_KEY };
+    delete process.env.TOKEN_STORE_KEY;
+
+    try {
+        delete process.env.SUMMARY_CACHE_STORE;
+        assert.ok(SummaryCache.fromEnv().store instanceof SummaryCache.MemoryStore);
+        assert.ok(!(SummaryCache.fromEnv().store instanceof SummaryCache.FileStore));
+
+        process.env.SUMMARY_CACHE_STORE = 'file';
+        assert.ok(!(SummaryCache.fromEnv().store instanceof SummaryCache.FileStore));
+    } finally {
+        Object.entries({ SUMMARY_CACHE_STORE: saved.store, TOKEN_STORE_KEY: saved.key }).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+    }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const TextExtractor = require('../helpers/text-extractor');
+
+// Storage stub serving fixed bytes per file ID
+function storageServing(files) {
+    return {
+        download: async fileId => files[fileId],
+        exportFile: async (fileId, mimeType) => Buffer.from(`${files[fileId]} as ${mimeType}`)
+    };
+}
+
+test('text files are decoded and blank runs collapsed', async () => {
+    const extractor = new TextExtractor(storageServing({ a: Buffer.from('\uFEFFfirst\r\n\r\n\r\n\r\nsecond') }));
+
+    assert.deepStrictEqual(await extractor.extract({ id: 'a', name: 'a.txt', mimeType: 'text/plain' }), { text: 'first\n\nsecond' });
+});
+
+test('native Google files are exported', async () => {
+    const extractor = new TextExtractor(storageServing({ s: 'budget' }));
+
+    const result = await extractor.extract({ id: 's', name: 'Budget', mimeType: 'application/vnd.google-apps.spreadsheet' });
+
+    assert.strictEqual(result.text, 'budget as text/csv');
+});
+
+test('Word paragraphs keep their order and entities are decoded', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<w:document><w:body>' +
+        '<w:p><w:r><w:t>Q3 &amp; Q4</w:t></w:r></w:p>' +
+        '<w:p><w:r><w:t xml:space="preserve">Net </w:t></w:r><w:r><w:t>profit</w:t></w:r></w:p>' +
+        '</w:body></w:document>');
+    const extractor = new TextExtractor(storageServing({ d: await zip.generateAsync({ type: 'nodebuffer' }) }));
+
+    const result = await extractor.extract({ id: 'd', name: 'report.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+
+    assert.strictEqual(result.text, 'Q3 & Q4\nNet profit');
+});
+
+test('unsupported types and empty documents are reported', async () => {
+    const extractor = new TextExtractor(storageServing({ e: Buffer.from('   ') }));
+
+    const image = await extractor.extract({ id: 'i', name: 'photo.jpg', mimeType: 'image/jpeg' });
+    const empty = await extractor.extract({ id: 'e', name: 'blank.txt', mimeType: 'text/plain' });
+
+    assert.strictEqual(image.unsupported, true);
+    assert.match(empty.error, /No text could be extracted from 'blank.txt'/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../helpers/token-store');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function tokenFile() {
+    return path.join(tmpDir, `tokens-${Math.random().toString(36).slice(2)}.enc`);
+}
+
+test('tokens are encrypted on disk and read back with the same key', () => {
+    const file = tokenFile();
+    new TokenStore({ file, secret: 'right key' }).save({ refresh_token: 'refresh-123' });
+
+    assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /refresh-123/);
+    assert.deepStrictEqual(new TokenStore({ file, secret: 'right key' }).load(), { refresh_token: 'refresh-123' });
+    assert.strictEqual(new TokenStore({ file, secret: 'wrong key' }).load(), null);
+});
+
+test('an update without a refresh token keeps the stored one', () => {
+    const store = new TokenStore({ file: tokenFile(), secret: 'key' });
+    store.update({ access_token: 'old', refresh_token: 'refresh-123' });
+
+    const merged = store.update({ access_token: 'new', refresh_token: null });
+
+    assert.strictEqual(merged.access_token, 'new');
+    assert.strictEqual(store.load().refresh_token, 'refresh-123');
+});
+
+test('without a key the store stays off', () => {
+    const store = new TokenStore({ file: tokenFile(), secret: '' });
+
+    assert.strictEqual(store.enabled, false);
+    assert.strictEqual(store.save({ access_token: 'a' }), false);
+    assert.strictEqual(store.load(), null);
+});
+
+test('invalid_grant is recognised as a revoked token', () => {
+    assert.strictEqual(TokenStore.isRevokedError({ response: { data: { error: 'invalid_grant' } } }), true);
+    assert.strictEqual(TokenStore.isRevokedError(new Error('invalid_grant: Token has been expired or revoked.')), true);
+    assert.strictEqual(TokenStore.isRevokedError(new Error('quota exceeded')), false);
+});